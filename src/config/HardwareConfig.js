@@ -144,6 +144,15 @@ export const SwitchGroups = {
     SLINGSHOTS: [
         Switches.SW_LEFT_SLING,
         Switches.SW_RIGHT_SLING
+    ],
+    COINS: [
+        Switches.SW_COIN_1,
+        Switches.SW_COIN_2,
+        Switches.SW_COIN_3
+    ],
+    FLIPPER_EOS: [
+        Switches.SW_LEFT_FLIPPER_EOS,
+        Switches.SW_RIGHT_FLIPPER_EOS
     ]
 };
 
@@ -445,16 +454,30 @@ export const Physics = {
     FLIPPER_LENGTH: 65,         // pixels
     FLIPPER_WIDTH: 12,          // pixels
     FLIPPER_ANGULAR_VEL: 18,    // degrees/frame (snappy response)
+    FLIPPER_RETURN_RATIO: 0.6,  // share of FLIPPER_ANGULAR_VEL a released flipper falls at
     FLIPPER_MAX_ANGLE: 45,      // degrees from rest
     FLIPPER_REST_ANGLE: -25,    // degrees (pointing down)
     BALL_FRICTION: 0.998,       // velocity multiplier per frame
+    BALL_MASS: 1,               // relative mass of a ball
+    BALL_RESTITUTION: 0.9,      // velocity retained along the normal when balls collide
+    BALL_CORRECTION: 0.8,       // share of a ball-ball overlap pushed apart per frame
+    BALL_SLOP: 0.05,            // ball-ball overlap left alone (pixels)
+    BALL_IMPACT_SPEED: 0.5,     // closing speed that counts as an impact (not resting contact)
     BOUNCE_DAMPING: 0.65,       // velocity retention on bounce
     BUMPER_KICK: 10,            // velocity boost from bumpers
     SLING_KICK: 7,              // velocity boost from slingshots
-    FLIPPER_KICK: 14,           // velocity boost from flippers
+    FLIPPER_RESTITUTION: 0.6,   // bounce off the flipper rubber, relative to its surface
+    FLIPPER_REST_SPEED: 1.0,    // contact speed below which a ball rolls on the flipper instead
     MAX_VELOCITY: 28,           // speed cap
+    MAX_STEP_DISTANCE: 6,       // furthest a ball moves between collision checks (under a radius)
+    MAX_SUBSTEPS: 12,           // substeps per frame at most
     LAUNCH_VELOCITY_MIN: 12,    // minimum launch speed
-    LAUNCH_VELOCITY_MAX: 22     // maximum launch speed
+    LAUNCH_VELOCITY_MAX: 22,    // maximum launch speed
+    NUDGE_IMPULSE: 2.5,         // velocity given to every ball by a nudge
+    PLUMB_BOB_KICK: 0.1,        // plumb bob swing speed added by a nudge
+    PLUMB_BOB_SPRING: 0.02,     // pull back to centre per frame
+    PLUMB_BOB_DAMPING: 0.97,    // swing retained per frame
+    PLUMB_BOB_CONTACT: 1.0      // swing at which the bob touches the tilt ring
 };
 
 // =============================================================================
@@ -525,26 +548,77 @@ export const Scoring = {
 
     // Special
     SKILL_SHOT_BASE: 500000,
+    SKILL_SHOT_LANES: [500000, 750000, 1000000], // Top lane L, M, R
+    SKILL_SHOT_POPS: 100000,
     MODE_COMPLETION: 1000000,
     JACKPOT_BASE: 1000000,
     SUPER_JACKPOT: 5000000,
+    TANK_JACKPOT: 750000,
 
     // Bonus
     BONUS_PER_TARGET: 10000,
-    BONUS_PER_RAMP: 25000
+    BONUS_PER_RAMP: 25000,
+    BONUS_PER_COMBO: 50000,
+    BONUS_PER_MODE: 250000
 };
 
 // =============================================================================
 // GAME SETTINGS
 // =============================================================================
 
+// Factory values - entries in the Settings schema are operator adjustments
+// and must be read through settings.get() so changes apply live
 export const GameSettings = {
     BALLS_PER_GAME: 3,
+    MAX_PLAYERS: 4,
     BALL_SAVE_TIME: 10000,      // 10 seconds
     TILT_WARNINGS: 3,
+    TILT_SETTLE_TIME: 1000,     // Plumb bob contacts this soon after a warning don't count
     COMBO_WINDOW: 2500,         // 2.5 seconds to chain combos
+    SUPER_POPS_TIME: 10000,     // Super Pops skill shot award
+    PLAYFIELD_2X_TIME: 30000,   // 2X scoring skill shot award
     MODE_TIME_DEFAULT: 30000,   // 30 seconds per mode
     MULTIBALL_BALL_SAVE: 15000, // 15 seconds ball save during multiball
-    EXTRA_BALL_SCORE: 10000000, // Score threshold for extra ball
-    REPLAY_SCORE: 50000000      // Score threshold for replay
+    TANK_TRAP_DOOR_TIME: 2000,  // Trap door stays open after a tank entrance shot
+    DOUBLE_JACKPOT_WINDOW: 10000, // Lock, lock, entrance within 10s for the Double Jackpot
+    MAGNA_SAVE_MAX: 3,          // Magna-Save charges a player can store
+    MAGNA_SAVE_WINDOW: 1500,    // Time after the left sling to press both flippers
+    EXTRA_BALL_SCORE: 10000000, // Score threshold for extra ball (0 = off)
+    EXTRA_BALL_MODES: 3,        // Completed modes that light an extra ball (0 = off)
+    REPLAY_SCORE: 50000000,     // Score threshold for replay (0 = off)
+    BONUS_COUNT_INTERVAL: 60,   // Bonus count-up step
+    BONUS_ITEM_PAUSE: 500,      // Pause between bonus categories
+    BONUS_TOTAL_TIME: 1500,     // Bonus total stays on the display
+    HIGH_SCORE_COUNT: 5,        // Grand Champion plus four high scores
+    HIGH_SCORE_ENTRY_TIME: 20000, // Time each player gets to enter initials
+    ATTRACT_SCREEN_TIME: 4000,  // Each attract display screen
+    FREE_PLAY: true,            // Games need no credits
+    MAX_CREDITS: 30,            // Coins and awards beyond this are lost
+    MATCH_ENABLED: true,        // Match sequence at game end (never on free play)
+    MATCH_SPIN_TIME: 2000,      // Match digits spin before settling
+    BALL_SEARCH_TIME: 15000,    // Quiet playfield time before a ball search
+    BALL_SEARCH_ROUNDS: 3,      // Search rounds before the ball is declared lost
+    BALL_SEARCH_PULSE_GAP: 250, // Time between coils in a search round
+    BALL_SEARCH_ROUND_PAUSE: 3000, // Pause after each search round
+    BALL_SEARCH_HOLD_TIME: 500  // Hold coils (satellite motor) run this long in a search
+};
+
+// =============================================================================
+// PRICING
+// =============================================================================
+
+export const Pricing = {
+    // Coin units per chute (left and right 25c, center $1)
+    COIN_UNITS: {
+        [Switches.SW_COIN_1]: 1,
+        [Switches.SW_COIN_2]: 4,
+        [Switches.SW_COIN_3]: 1
+    },
+
+    // Credits given once this many units are in (cumulative, best row wins).
+    // After the last row the count starts again: 50c per game, 3 games for $1.
+    CREDIT_TABLE: [
+        { units: 2, credits: 1 },
+        { units: 4, credits: 3 }
+    ]
 };
@@ -0,0 +1,140 @@
+/**
+ * ModeDefinitions.js
+ * 007 mode (encounter) rules as data (SPEC 5.2)
+ * Modes are plain, JSON-compatible objects so new modes can be authored
+ * without touching engine code. ModeManager resolves the names below
+ * against HardwareConfig when the definitions are loaded.
+ *
+ * Mode format:
+ *   {
+ *     name: 'runway',               // unique id
+ *     title: 'Runway',              // display name
+ *     lamp: 'L_MODE_RUNWAY',        // Lamps name - blinks while running, on once completed
+ *     time: 30000,                  // time limit (ms), defaults to the MODE_TIME_DEFAULT setting
+ *     timeAdd: 0,                   // optional ms added to the timer per qualifying shot
+ *     scoring: {
+ *       shot: 50000,                // awarded for each qualifying shot
+ *       jackpot: 1000000,           // awarded when every goal is made
+ *       modifier: {                 // optional score modifier while the mode runs
+ *         multiplier: 2,            //   (see ScoringPipeline.addModifier)
+ *         sources: ['ramp']         //   ScoreSources values, omit for all
+ *       }
+ *     },
+ *     ordered: false,               // goals must be made in order
+ *     wizard: false,                // only available once every other mode is completed
+ *     goals: [{
+ *       label: 'Ramp Shots',
+ *       switches: ['RAMPS'],        // Switches names, SwitchGroups names or switch IDs
+ *       count: 3,                   // hits required
+ *       distinct: false,            // each switch only counts once
+ *       lamps: ['L_LEFT_RAMP_ARROW']// Lamps names flashed while the goal is open
+ *     }],
+ *     onSuccess: { state: 'normalPlay' },  // game.* state entered when completed
+ *     onFailure: { state: 'normalPlay' }   // game.* state entered when time runs out
+ *   }
+ *
+ * onSuccess/onFailure may also carry params for the state, e.g.
+ *   { state: 'multiball', params: { type: 'tank' } }
+ */
+
+// Shot groups used by several modes (in addition to SwitchGroups)
+export const ModeShotGroups = {
+    RAMPS: ['SW_LEFT_RAMP_MADE', 'SW_RIGHT_RAMP_EXIT', 'SW_CENTER_RAMP_EXIT'],
+    LOOPS: ['SW_LEFT_ORBIT', 'SW_RIGHT_ORBIT', 'SW_UPPER_LOOP'],
+    TARGET_BANKS: ['LEFT_BANK', 'RIGHT_BANK']
+};
+
+const RAMP_ARROWS = ['L_LEFT_RAMP_ARROW', 'L_RIGHT_RAMP_ARROW'];
+const ORBIT_ARROWS = ['L_LEFT_ORBIT_ARROW', 'L_RIGHT_ORBIT_ARROW'];
+
+/**
+ * Built-in modes, in the order they become available
+ */
+export const ModeDefinitions = [
+    {
+        name: 'runway',
+        title: 'Runway',
+        lamp: 'L_MODE_RUNWAY',
+        time: 30000,
+        scoring: { shot: 50000, jackpot: 1000000, modifier: { multiplier: 2, sources: ['ramp'] } },
+        goals: [
+            { label: 'Ramp Shots', switches: ['RAMPS'], count: 3, lamps: RAMP_ARROWS }
+        ]
+    },
+    {
+        name: 'facility',
+        title: 'Facility',
+        lamp: 'L_MODE_FACILITY',
+        time: 25000,
+        scoring: { shot: 25000, jackpot: 1500000, modifier: { multiplier: 2, sources: ['target'] } },
+        goals: [
+            { label: 'Target Bank Hits', switches: ['TARGET_BANKS'], count: 5 }
+        ]
+    },
+    {
+        name: 'silo',
+        title: 'Silo',
+        lamp: 'L_MODE_SILO',
+        time: 35000,
+        scoring: { shot: 75000, jackpot: 2000000 },
+        ordered: true,
+        goals: [
+            { label: 'Loops', switches: ['LOOPS'], count: 2, lamps: ORBIT_ARROWS },
+            { label: 'Scoop', switches: ['SW_SCOOP'], count: 1, lamps: ['L_SCOOP'] }
+        ]
+    },
+    {
+        name: 'train',
+        title: 'Train',
+        lamp: 'L_MODE_TRAIN',
+        time: 20000,
+        scoring: { shot: 10000, jackpot: 2500000 },
+        goals: [
+            { label: 'Spinner Spins', switches: ['SW_SPINNER'], count: 4, lamps: ['L_SPINNER_VALUE'] }
+        ]
+    },
+    {
+        name: 'statue',
+        title: 'Statue',
+        lamp: 'L_MODE_STATUE',
+        time: 30000,
+        scoring: { shot: 100000, jackpot: 3000000 },
+        goals: [
+            { label: 'Left Ramps', switches: ['SW_LEFT_RAMP_MADE'], count: 3, lamps: ['L_LEFT_RAMP_ARROW'] }
+        ]
+    },
+    {
+        name: 'archives',
+        title: 'Archives',
+        lamp: 'L_MODE_ARCHIVES',
+        time: 40000,
+        scoring: { shot: 25000, jackpot: 3500000 },
+        goals: [
+            { label: 'Left Bank', switches: ['LEFT_BANK'], count: 5, distinct: true },
+            { label: 'Right Bank', switches: ['RIGHT_BANK'], count: 5, distinct: true }
+        ]
+    },
+    {
+        name: 'tank',
+        title: 'Tank',
+        lamp: 'L_MODE_TANK',
+        time: 45000,
+        scoring: { shot: 100000, jackpot: 4000000 },
+        ordered: true,
+        goals: [
+            { label: 'Tank Entrance', switches: ['SW_TANK_ENTRANCE'], count: 1, lamps: ['L_TANK_ENTRANCE'] },
+            { label: 'Tank Locks', switches: ['SW_TANK_LOCK_1', 'SW_TANK_LOCK_2'], count: 2, lamps: ['L_RIGHT_LOCK'] }
+        ]
+    },
+    {
+        name: 'cradle',
+        title: 'Cradle',
+        lamp: 'L_MODE_CRADLE',
+        time: 60000,
+        scoring: { shot: 0, jackpot: 10000000 },
+        wizard: true,
+        goals: [
+            { label: 'Satellite Shot', switches: ['SW_SATELLITE_SHOT'], count: 1, lamps: ['L_SATELLITE'] }
+        ]
+    }
+];
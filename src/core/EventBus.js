@@ -205,32 +205,81 @@ export const Events = {
     COIL_FIRE: 'coil.fire',
     COIL_FIRED: 'coil.fired',
     COIL_STOP: 'coil.stop',
+    COIL_RELEASED: 'coil.released',
+    COIL_POWER: 'coil.power',
 
     // Game state events
     GAME_START: 'game.start',
+    GAME_FINISHED: 'game.finished',   // Last ball played (before match and initials)
     GAME_OVER: 'game.over',
     BALL_LAUNCH: 'game.ballLaunch',
     BALL_DRAINED: 'game.ballDrained',
     BALL_SAVED: 'game.ballSaved',
     BALL_ENDED: 'game.ballEnded',
+    BALL_SEARCH: 'game.ballSearch',
+    BALL_COUNT_ALARM: 'game.ballCountAlarm',
 
     // Player events
+    PLAYER_ADDED: 'player.added',
     SCORE_CHANGED: 'player.scoreChanged',
+    SCORE_AWARDED: 'player.scoreAwarded',
+    BONUS_START: 'player.bonusStart',
+    BONUS_STEP: 'player.bonusStep',
     BONUS_AWARDED: 'player.bonusAwarded',
     EXTRA_BALL: 'player.extraBall',
+    REPLAY: 'player.replay',
 
     // Mode events
     MODE_START: 'mode.start',
     MODE_END: 'mode.end',
     MODE_PROGRESS: 'mode.progress',
 
+    // Skill shot events
+    SKILL_SHOT_SELECTED: 'skillShot.selected',
+    SKILL_SHOT_ENDED: 'skillShot.ended',
+
+    // Combo events
+    COMBO_LIT: 'combo.lit',
+    COMBO_COMPLETE: 'combo.complete',
+
     // Multiball events
     MULTIBALL_START: 'multiball.start',
     MULTIBALL_END: 'multiball.end',
     MULTIBALL_JACKPOT: 'multiball.jackpot',
 
+    // Tilt events
+    TILT_WARNING: 'tilt.warning',
+    TILT: 'tilt.tilted',
+    SLAM_TILT: 'tilt.slam',
+
+    // Magna-Save events
+    MAGNA_SAVE_ARMED: 'magnaSave.armed',
+    MAGNA_SAVE_FIRED: 'magnaSave.fired',
+    MAGNA_SAVE_CHARGES: 'magnaSave.charges',
+
+    // High score events
+    HIGH_SCORE_ENTRY: 'highScore.entry',
+    HIGH_SCORE_ENTERED: 'highScore.entered',
+    HIGH_SCORES_RESET: 'highScore.reset',
+
+    // Attract mode events
+    ATTRACT_DISPLAY: 'attract.display',
+
+    // Credit events
+    COIN_INSERTED: 'credits.coin',
+    CREDITS_CHANGED: 'credits.changed',
+    CREDITS_REQUIRED: 'credits.required',
+    MATCH_SEQUENCE: 'credits.match',
+
+    // Service menu events
+    SERVICE_DISPLAY: 'service.display',
+    SETTINGS_CHANGED: 'service.settingsChanged',
+    AUDITS_EXPORTED: 'service.auditsExported',
+
     // Physics events
     PHYSICS_COLLISION: 'physics.collision',
+    PHYSICS_ZONE_EXIT: 'physics.zoneExit',
+    PHYSICS_BALL_COLLISION: 'physics.ballCollision',
     PHYSICS_BALL_POSITION: 'physics.ballPosition',
     PHYSICS_FLIPPER_MOVE: 'physics.flipperMove',
 
@@ -239,12 +288,22 @@ export const Events = {
     INPUT_FLIPPER_RIGHT: 'input.flipperRight',
     INPUT_LAUNCH: 'input.launch',
     INPUT_START: 'input.start',
+    INPUT_NUDGE: 'input.nudge',
+    INPUT_SLAM: 'input.slam',
+    INPUT_COIN: 'input.coin',
+    INPUT_SERVICE: 'input.service',
 
     // System events
     SYSTEM_TICK: 'system.tick',
     SYSTEM_RENDER: 'system.render',
     SYSTEM_PAUSE: 'system.pause',
-    SYSTEM_RESUME: 'system.resume'
+    SYSTEM_RESUME: 'system.resume',
+
+    // Replay events
+    REPLAY_FINISHED: 'replay.finished',
+
+    // Debug events
+    DEBUG_STATE: 'debug.state'
 };
 
 // Create singleton instance
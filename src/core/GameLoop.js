@@ -5,6 +5,7 @@
  */
 
 import eventBus, { Events } from './EventBus.js';
+import scheduler from './Scheduler.js';
 
 class GameLoop {
     constructor() {
@@ -18,6 +19,9 @@ class GameLoop {
         this.fixedDeltaTime = 1000 / 60;  // ~16.67ms
         this.maxAccumulator = this.fixedDeltaTime * 5;  // Prevent spiral of death
 
+        // Number of fixed updates run since startup
+        this.tickCount = 0;
+
         // FPS tracking
         this.frameCount = 0;
         this.fpsTime = 0;
@@ -191,8 +195,13 @@ class GameLoop {
      * @param {number} dt - Delta time in milliseconds
      */
     update(dt) {
+        this.tickCount++;
+
         // Emit tick event
-        eventBus.emit(Events.SYSTEM_TICK, { dt });
+        eventBus.emit(Events.SYSTEM_TICK, { dt, tick: this.tickCount });
+
+        // Advance game-clock timers
+        scheduler.update(dt);
 
         // Call update callbacks
         for (const callback of this.updateCallbacks) {
@@ -258,6 +267,14 @@ class GameLoop {
         return this.currentFPS;
     }
 
+    /**
+     * Get number of fixed updates run so far
+     * @returns {number}
+     */
+    getTickCount() {
+        return this.tickCount;
+    }
+
     /**
      * Check if loop is running
      * @returns {boolean}
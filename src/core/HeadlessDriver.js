@@ -0,0 +1,72 @@
+/**
+ * HeadlessDriver.js
+ * Drives the GameLoop without requestAnimationFrame
+ * Advances the simulation in fixed timestep ticks on demand (Node, CI)
+ */
+
+import gameLoop from './GameLoop.js';
+
+class HeadlessDriver {
+    /**
+     * @param {GameLoop} loop - Game loop to drive
+     */
+    constructor(loop = gameLoop) {
+        this.loop = loop;
+    }
+
+    /**
+     * Advance the simulation by a number of fixed ticks
+     * Each tick runs one update at fixedDeltaTime followed by a late update.
+     * Nothing advances while the loop is paused.
+     * @param {number} ticks - Number of ticks to run
+     * @returns {number} Ticks actually run
+     */
+    step(ticks = 1) {
+        let ran = 0;
+
+        while (ran < ticks && !this.loop.isPaused) {
+            this.loop.update(this.loop.fixedDeltaTime);
+            this.loop.lateUpdate();
+            ran++;
+        }
+
+        return ran;
+    }
+
+    /**
+     * Advance the simulation by an amount of game time
+     * @param {number} ms - Game time in milliseconds (rounded to whole ticks)
+     * @returns {number} Ticks actually run
+     */
+    advance(ms) {
+        return this.step(Math.round(ms / this.loop.fixedDeltaTime));
+    }
+
+    /**
+     * Advance tick by tick until a condition holds
+     * @param {Function} predicate - Checked before each tick
+     * @param {number} maxTicks - Give up after this many ticks
+     * @returns {boolean} True if the condition was met
+     */
+    runUntil(predicate, maxTicks = 60 * 60 * 10) {
+        for (let i = 0; i < maxTicks; i++) {
+            if (predicate()) return true;
+            if (this.step(1) === 0) return false;
+        }
+        return predicate();
+    }
+
+    /**
+     * Get elapsed game time in milliseconds
+     * @returns {number}
+     */
+    getElapsedTime() {
+        return this.loop.getTickCount() * this.loop.fixedDeltaTime;
+    }
+}
+
+// Create singleton instance
+const headlessDriver = new HeadlessDriver();
+
+export default headlessDriver;
+export { HeadlessDriver };
@@ -0,0 +1,65 @@
+/**
+ * Random.js
+ * Seeded pseudo-random number generator (mulberry32)
+ * All game randomness must come from here so replays are reproducible
+ */
+
+class Random {
+    constructor(seed = 1) {
+        this.seed(seed);
+    }
+
+    /**
+     * Reseed the generator
+     * @param {number} seed - 32-bit integer seed
+     */
+    seed(seed) {
+        this.initialSeed = seed >>> 0;
+        this.state = this.initialSeed;
+    }
+
+    /**
+     * Get the seed the generator was last seeded with
+     * @returns {number}
+     */
+    getSeed() {
+        return this.initialSeed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [min, max]
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} items
+     * @returns {*}
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
+
+// Create singleton instance
+const random = new Random();
+
+export default random;
+export { Random };
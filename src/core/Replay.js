@@ -0,0 +1,340 @@
+/**
+ * Replay.js
+ * Input recording and frame-exact playback
+ * Records every input.* event with the tick it arrived on, plus the RNG seed.
+ * Because all game state advances on the fixed timestep, feeding the same inputs
+ * on the same ticks from the same starting state reproduces the game exactly.
+ *
+ * Replay file format (JSON):
+ *   {
+ *     v: 1,                   // format version
+ *     seed: 123456,           // Random seed at recording start
+ *     startTick: 0,           // GameLoop tick when recording started
+ *     settings: { ... },      // operator adjustments in effect (non-defaults only)
+ *     length: 5400,           // ticks recorded
+ *     inputs: [[dt, name, data], ...],
+ *                             // dt: ticks since previous input
+ *                             // name: event name without the 'input.' prefix
+ *                             // data: 1/0 for { pressed }, else the event data
+ *     hash: 'a1b2c3d4'        // optional hash of the final game snapshot
+ *   }
+ */
+
+import eventBus, { Events } from './EventBus.js';
+import gameLoop from './GameLoop.js';
+import random from './Random.js';
+
+export const REPLAY_VERSION = 1;
+
+const INPUT_PREFIX = 'input.';
+
+class Replay {
+    constructor() {
+        // Recording state
+        this.recording = false;
+        this.recordStartTick = 0;
+        this.recordLastTick = 0;
+        this.recordSeed = 0;
+        this.recordSettings = {};
+        this.recordedInputs = [];
+        this.unsubscribeRecord = null;
+
+        // Playback state
+        this.playing = false;
+        this.playback = null;
+        this.playIndex = 0;
+        this.playStartTick = 0;
+        this.playNextTick = 0;
+        this.unsubscribePlay = null;
+    }
+
+    /**
+     * Start recording inputs
+     * For an exact replay, start from the same state playback will start from
+     * (normally right after initialization, at tick 0), with the same settings.
+     * @param {number} seed - RNG seed (random if omitted)
+     * @param {Object} [settings] - Adjustments in effect, saved with the replay
+     */
+    startRecording(seed = (Math.random() * 0x100000000) >>> 0, settings = {}) {
+        if (this.playing) {
+            console.warn('Cannot record during replay playback');
+            return;
+        }
+        if (this.recording) {
+            this.stopRecording();
+        }
+
+        random.seed(seed);
+
+        this.recording = true;
+        this.recordSeed = random.getSeed();
+        this.recordSettings = { ...settings };
+        this.recordStartTick = gameLoop.getTickCount();
+        this.recordLastTick = this.recordStartTick;
+        this.recordedInputs = [];
+
+        this.unsubscribeRecord = eventBus.on(`${INPUT_PREFIX}*`, (data, event) => {
+            this.recordInput(event, data);
+        });
+
+        console.log(`Replay recording started (seed ${this.recordSeed})`);
+    }
+
+    /**
+     * Record a single input event
+     * @param {string} event
+     * @param {Object} data
+     */
+    recordInput(event, data) {
+        const tick = gameLoop.getTickCount();
+        const name = event.slice(INPUT_PREFIX.length);
+
+        // { pressed } is by far the common case - store it as 1/0
+        const keys = data ? Object.keys(data) : [];
+        const packed = keys.length === 1 && keys[0] === 'pressed'
+            ? (data.pressed ? 1 : 0)
+            : data;
+
+        this.recordedInputs.push([tick - this.recordLastTick, name, packed]);
+        this.recordLastTick = tick;
+    }
+
+    /**
+     * Stop recording
+     * @param {Object} [snapshot] - Final game state to hash for verification
+     * @returns {Object|null} Replay data
+     */
+    stopRecording(snapshot = null) {
+        if (!this.recording) return null;
+
+        this.unsubscribeRecord();
+        this.unsubscribeRecord = null;
+        this.recording = false;
+
+        const data = {
+            v: REPLAY_VERSION,
+            seed: this.recordSeed,
+            startTick: this.recordStartTick,
+            settings: this.recordSettings,
+            length: gameLoop.getTickCount() - this.recordStartTick,
+            inputs: this.recordedInputs
+        };
+
+        if (snapshot) {
+            data.hash = Replay.hash(snapshot);
+        }
+
+        console.log(`Replay recording stopped (${data.inputs.length} inputs, ${data.length} ticks)`);
+        return data;
+    }
+
+    /**
+     * Start playing back a replay
+     * Inputs are emitted at the start of the tick they were recorded before,
+     * so the replay must run through gameLoop.update (GameLoop.loop or HeadlessDriver).
+     * The caller puts the recorded settings in effect first.
+     * @param {Object} data - Replay data
+     * @returns {boolean} True if playback started
+     */
+    play(data) {
+        if (!Replay.validate(data)) return false;
+
+        if (this.recording) {
+            console.warn('Stopping recording to play replay');
+            this.stopRecording();
+        }
+        if (this.playing) {
+            this.stop();
+        }
+
+        if (gameLoop.getTickCount() !== data.startTick) {
+            console.warn(`Replay recorded from tick ${data.startTick}, ` +
+                `playing from tick ${gameLoop.getTickCount()} - result may differ`);
+        }
+
+        random.seed(data.seed);
+
+        this.playing = true;
+        this.playback = data;
+        this.playIndex = 0;
+        this.playStartTick = gameLoop.getTickCount();
+        this.playNextTick = this.playStartTick + (data.inputs[0]?.[0] ?? 0);
+
+        this.unsubscribePlay = eventBus.on(Events.SYSTEM_TICK, this.handleTick.bind(this));
+
+        // Inputs recorded before the first tick
+        this.emitDueInputs(this.playStartTick);
+
+        console.log(`Replay playback started (${data.inputs.length} inputs, ${data.length} ticks)`);
+        return true;
+    }
+
+    /**
+     * Handle a game loop tick during playback
+     * @param {Object} data - { tick }
+     */
+    handleTick({ tick }) {
+        // SYSTEM_TICK carries the tick being run; inputs were recorded
+        // against the count of ticks already completed
+        this.emitDueInputs(tick - 1);
+
+        // Past the recorded length - anything left was input after the last tick
+        if (tick - this.playStartTick > this.playback.length) {
+            this.finish();
+        }
+    }
+
+    /**
+     * Emit any remaining inputs and stop playback
+     * Call after running exactly `length` ticks to end on the recorded state.
+     */
+    finish() {
+        if (!this.playing) return;
+        this.emitDueInputs(Infinity);
+        this.stop();
+    }
+
+    /**
+     * Emit every input due at or before a tick
+     * @param {number} tick - Completed tick count
+     */
+    emitDueInputs(tick) {
+        const inputs = this.playback.inputs;
+
+        while (this.playIndex < inputs.length && this.playNextTick <= tick) {
+            const [, name, packed] = inputs[this.playIndex];
+            const data = typeof packed === 'number' ? { pressed: packed === 1 } : packed;
+
+            eventBus.emit(INPUT_PREFIX + name, data);
+
+            this.playIndex++;
+            if (this.playIndex < inputs.length) {
+                this.playNextTick += inputs[this.playIndex][0];
+            }
+        }
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        if (!this.playing) return;
+
+        this.unsubscribePlay();
+        this.unsubscribePlay = null;
+        this.playing = false;
+
+        eventBus.emit(Events.REPLAY_FINISHED, {
+            inputsPlayed: this.playIndex,
+            inputsTotal: this.playback.inputs.length
+        });
+
+        console.log('Replay playback finished');
+    }
+
+    /**
+     * Check whether a snapshot matches the replay's recorded hash
+     * @param {Object} data - Replay data
+     * @param {Object} snapshot - Game state after playback
+     * @returns {boolean}
+     */
+    verify(data, snapshot) {
+        if (!data.hash) {
+            console.warn('Replay has no hash to verify against');
+            return false;
+        }
+        return Replay.hash(snapshot) === data.hash;
+    }
+
+    /**
+     * Serialize replay data for saving
+     * @param {Object} data
+     * @returns {string}
+     */
+    static serialize(data) {
+        return JSON.stringify(data);
+    }
+
+    /**
+     * Parse a saved replay
+     * @param {string} text
+     * @returns {Object|null} Replay data, or null if invalid
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            console.error('Replay parse error:', err.message);
+            return null;
+        }
+        return Replay.validate(data) ? data : null;
+    }
+
+    /**
+     * Validate replay data
+     * @param {Object} data
+     * @returns {boolean}
+     */
+    static validate(data) {
+        if (!data || data.v !== REPLAY_VERSION) {
+            console.error(`Invalid replay: unsupported version ${data?.v}`);
+            return false;
+        }
+        if (!Number.isInteger(data.seed) || !Number.isInteger(data.length) ||
+            !Array.isArray(data.inputs)) {
+            console.error('Invalid replay: missing seed, length or inputs');
+            return false;
+        }
+        if (data.settings !== undefined &&
+            (typeof data.settings !== 'object' || data.settings === null || Array.isArray(data.settings))) {
+            console.error('Invalid replay: malformed settings');
+            return false;
+        }
+        const badInput = data.inputs.find(input =>
+            !Array.isArray(input) || !Number.isInteger(input[0]) || typeof input[1] !== 'string'
+        );
+        if (badInput) {
+            console.error('Invalid replay: malformed input', badInput);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Hash a game snapshot (FNV-1a over its JSON form)
+     * @param {Object} snapshot
+     * @returns {string} 8-digit hex hash
+     */
+    static hash(snapshot) {
+        const text = JSON.stringify(snapshot);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Check if recording
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording;
+    }
+
+    /**
+     * Check if playing back
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.playing;
+    }
+}
+
+// Create singleton instance
+const replay = new Replay();
+
+export default replay;
+export { Replay };
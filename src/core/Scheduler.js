@@ -0,0 +1,229 @@
+/**
+ * Scheduler.js
+ * Game-clock timer system driven by the fixed timestep
+ * Replaces setTimeout so timers stop while paused and stay in step with the simulation
+ */
+
+class Scheduler {
+    constructor() {
+        // Active timers by name
+        this.timers = new Map();
+
+        // Game time elapsed (ms), advanced only by update()
+        this.time = 0;
+
+        // Counter for generated timer names
+        this.nextId = 1;
+    }
+
+    /**
+     * Schedule a named timer
+     * Scheduling a name that is already active replaces the old timer.
+     * @param {string|null} name - Timer name (null generates a unique one)
+     * @param {number} delay - Game time until it fires (ms)
+     * @param {Function} callback - Called when the timer fires
+     * @param {Object} options
+     * @param {number} [options.repeat=0] - Extra times to fire (Infinity for forever)
+     * @param {number} [options.interval] - Time between repeats (defaults to delay)
+     * @returns {string} Timer name
+     */
+    schedule(name, delay, callback, options = {}) {
+        const timerName = name ?? `timer.${this.nextId++}`;
+
+        this.timers.set(timerName, {
+            name: timerName,
+            callback,
+            duration: delay,
+            remaining: delay,
+            interval: options.interval ?? delay,
+            repeat: options.repeat ?? 0,
+            paused: false,
+            order: this.nextId++
+        });
+
+        return timerName;
+    }
+
+    /**
+     * Schedule a repeating timer
+     * @param {string|null} name
+     * @param {number} interval - Time between firings (ms)
+     * @param {Function} callback
+     * @param {number} count - Total times to fire
+     * @returns {string} Timer name
+     */
+    every(name, interval, callback, count = Infinity) {
+        return this.schedule(name, interval, callback, { repeat: count - 1, interval });
+    }
+
+    /**
+     * Cancel a timer
+     * @param {string} name
+     * @returns {boolean} True if a timer was cancelled
+     */
+    cancel(name) {
+        return this.timers.delete(name);
+    }
+
+    /**
+     * Cancel every timer whose name starts with a prefix
+     * @param {string} prefix - e.g. 'coil.' or 'multiballFeed.'
+     */
+    cancelGroup(prefix) {
+        for (const name of [...this.timers.keys()]) {
+            if (name.startsWith(prefix)) {
+                this.timers.delete(name);
+            }
+        }
+    }
+
+    /**
+     * Pause a timer (it keeps its remaining time)
+     * @param {string} name
+     */
+    pause(name) {
+        const timer = this.timers.get(name);
+        if (timer) timer.paused = true;
+    }
+
+    /**
+     * Pause every running timer
+     * @param {string[]} [except] - Name prefixes to leave running (e.g. 'switch.')
+     * @returns {string[]} Names of the timers paused, to resume later
+     */
+    pauseAll(except = []) {
+        const paused = [];
+        for (const timer of this.timers.values()) {
+            if (timer.paused || except.some(prefix => timer.name.startsWith(prefix))) continue;
+            timer.paused = true;
+            paused.push(timer.name);
+        }
+        return paused;
+    }
+
+    /**
+     * Resume a paused timer
+     * @param {string} name
+     */
+    resume(name) {
+        const timer = this.timers.get(name);
+        if (timer) timer.paused = false;
+    }
+
+    /**
+     * Add time to (or remove time from) an active timer
+     * @param {string} name
+     * @param {number} ms
+     */
+    extend(name, ms) {
+        const timer = this.timers.get(name);
+        if (timer) timer.remaining += ms;
+    }
+
+    /**
+     * Check if a timer is scheduled
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isActive(name) {
+        return this.timers.has(name);
+    }
+
+    /**
+     * Check if a timer is paused
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isPaused(name) {
+        return this.timers.get(name)?.paused === true;
+    }
+
+    /**
+     * Get time left before a timer fires
+     * @param {string} name
+     * @returns {number} Remaining ms (0 if not scheduled)
+     */
+    getRemaining(name) {
+        const timer = this.timers.get(name);
+        return timer ? Math.max(0, timer.remaining) : 0;
+    }
+
+    /**
+     * Get current game time
+     * @returns {number} Elapsed game time in ms
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Advance the clock and fire due timers (call from game loop)
+     * Due timers fire in the order they fell due.
+     * @param {number} dt - Delta time in ms
+     */
+    update(dt) {
+        this.time += dt;
+
+        const due = [];
+        for (const timer of this.timers.values()) {
+            if (timer.paused) continue;
+            timer.remaining -= dt;
+            if (timer.remaining <= 0) {
+                due.push(timer);
+            }
+        }
+
+        due.sort((a, b) => a.remaining - b.remaining || a.order - b.order);
+
+        for (const timer of due) {
+            // Skip timers cancelled or replaced by an earlier callback
+            if (this.timers.get(timer.name) !== timer) continue;
+
+            if (timer.repeat > 0) {
+                timer.repeat--;
+                timer.remaining += timer.interval;
+            } else {
+                this.timers.delete(timer.name);
+            }
+
+            try {
+                timer.callback();
+            } catch (err) {
+                console.error(`Scheduler error in timer "${timer.name}":`, err);
+            }
+        }
+    }
+
+    /**
+     * Get all active timers for debugging
+     * @returns {Array}
+     */
+    getDebugState() {
+        return [...this.timers.values()].map(timer => ({
+            name: timer.name,
+            remaining: Math.max(0, timer.remaining),
+            paused: timer.paused
+        }));
+    }
+
+    /**
+     * Cancel all timers
+     */
+    clear() {
+        this.timers.clear();
+    }
+
+    /**
+     * Cancel all timers and reset the clock
+     */
+    reset() {
+        this.clear();
+        this.time = 0;
+    }
+}
+
+// Create singleton instance
+const scheduler = new Scheduler();
+
+export default scheduler;
+export { Scheduler };
@@ -132,6 +132,10 @@ export class StateMachine {
         this.states = new Map();
         this.rootState = null;
         this.currentState = null;
+
+        // Root state put on hold by suspend(), hierarchy intact
+        this.suspendedState = null;
+
         this.history = [];
         this.maxHistory = 20;
         this.transitioning = false;
@@ -222,6 +226,57 @@ export class StateMachine {
         }
     }
 
+    /**
+     * Enter a root state over the current one without exiting it
+     * The current hierarchy keeps its active children and picks up where it
+     * left off on resumeSuspended().
+     * @param {string} stateName
+     * @param {Object} params
+     */
+    suspend(stateName, params = {}) {
+        const state = this.states.get(stateName);
+        if (!state) {
+            console.error(`State not found: ${stateName}`);
+            return;
+        }
+        if (this.suspendedState) {
+            console.warn(`Cannot suspend "${this.currentState?.name}": "${this.suspendedState.name}" already suspended`);
+            return;
+        }
+
+        this.suspendedState = this.currentState;
+        this.currentState = state;
+        state.onEnter(params);
+
+        this.recordHistory(stateName);
+        console.log(`StateMachine suspended ${this.suspendedState?.name} for: ${stateName}`);
+    }
+
+    /**
+     * Exit the current root state and go back to the suspended one
+     * The suspended hierarchy is not re-entered.
+     */
+    resumeSuspended() {
+        if (!this.suspendedState) return;
+
+        this.currentState.exitChild();
+        this.currentState.onExit();
+
+        this.currentState = this.suspendedState;
+        this.suspendedState = null;
+
+        this.recordHistory(this.getCurrentStatePath());
+        console.log(`StateMachine resumed: ${this.getCurrentStatePath()}`);
+    }
+
+    /**
+     * Check if a root state is suspended
+     * @returns {boolean}
+     */
+    hasSuspended() {
+        return this.suspendedState !== null;
+    }
+
     /**
      * Enter nested states from a path
      * @param {State} parentState
@@ -244,25 +299,17 @@ export class StateMachine {
 
     /**
      * Exit current state and all children
+     * A suspended state is exited too, after the one on top of it.
      */
     exitCurrentState() {
-        if (this.currentState) {
-            // Exit all children first
-            let state = this.currentState;
-            while (state.activeChild) {
-                state = state.activeChild;
-            }
-
-            // Walk back up, exiting each
-            while (state && state !== this.currentState.parent) {
+        for (const state of [this.currentState, this.suspendedState]) {
+            if (state) {
+                // Exit all children first (deepest first), then the root state once
+                state.exitChild();
                 state.onExit();
-                state = state.parent;
-            }
-
-            if (this.currentState) {
-                this.currentState.onExit();
             }
         }
+        this.suspendedState = null;
     }
 
     /**
@@ -0,0 +1,118 @@
+/**
+ * Storage.js
+ * Persistent key/value storage for operator data (high scores, settings, audits)
+ * Uses localStorage when the browser provides it and falls back to memory,
+ * so headless runs behave the same but forget everything on exit.
+ * Values are stored as JSON under a common prefix.
+ */
+
+const KEY_PREFIX = 'goldeneye.';
+
+/**
+ * Storage
+ */
+class Storage {
+    constructor() {
+        this.backend = Storage.detectBackend();
+
+        // Fallback store (also used if localStorage starts failing, e.g. quota)
+        this.memory = new Map();
+    }
+
+    /**
+     * Find a usable localStorage
+     * @returns {Object|null}
+     */
+    static detectBackend() {
+        try {
+            const backend = globalThis.localStorage;
+            if (!backend) return null;
+
+            const probe = KEY_PREFIX + '__probe';
+            backend.setItem(probe, '1');
+            backend.removeItem(probe);
+            return backend;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Check if values survive a restart
+     * @returns {boolean}
+     */
+    isPersistent() {
+        return this.backend !== null;
+    }
+
+    /**
+     * Load a value
+     * @param {string} key
+     * @param {*} fallback - Returned if nothing is stored or it can't be read
+     * @returns {*}
+     */
+    load(key, fallback = null) {
+        const fullKey = KEY_PREFIX + key;
+        let raw = this.memory.get(fullKey) ?? null;
+
+        if (raw === null && this.backend) {
+            try {
+                raw = this.backend.getItem(fullKey);
+            } catch (err) {
+                console.warn(`Storage read failed for ${key}:`, err.message);
+            }
+        }
+
+        if (raw === null) return fallback;
+
+        try {
+            return JSON.parse(raw);
+        } catch (err) {
+            console.warn(`Stored ${key} is corrupt, using defaults`);
+            return fallback;
+        }
+    }
+
+    /**
+     * Save a value
+     * @param {string} key
+     * @param {*} value - Must be JSON-serializable
+     */
+    save(key, value) {
+        const fullKey = KEY_PREFIX + key;
+        const raw = JSON.stringify(value);
+
+        if (this.backend) {
+            try {
+                this.backend.setItem(fullKey, raw);
+                this.memory.delete(fullKey);
+                return;
+            } catch (err) {
+                console.warn(`Storage write failed for ${key}, keeping it in memory:`, err.message);
+            }
+        }
+        this.memory.set(fullKey, raw);
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key
+     */
+    remove(key) {
+        const fullKey = KEY_PREFIX + key;
+        this.memory.delete(fullKey);
+
+        if (this.backend) {
+            try {
+                this.backend.removeItem(fullKey);
+            } catch (err) {
+                console.warn(`Storage remove failed for ${key}:`, err.message);
+            }
+        }
+    }
+}
+
+// Export singleton
+const storage = new Storage();
+export default storage;
+export { Storage };
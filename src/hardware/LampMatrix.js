@@ -5,6 +5,7 @@
  */
 
 import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
 import { Lamps, LampNames, LampState, LampColors, LampGroups } from '../config/HardwareConfig.js';
 
 class LampMatrix {
@@ -142,9 +143,9 @@ class LampMatrix {
         this.states.forEach((state, lampId) => {
             if (state >= LampState.BLINK_SLOW) {
                 const interval = this.blinkIntervals[state];
-                const now = performance.now();
+                const now = scheduler.now();
 
-                // Use global time for synchronized blinking
+                // Use game time for synchronized blinking
                 const phase = Math.floor(now / interval) % 2 === 0;
                 this.blinkPhase.set(lampId, phase);
             }
@@ -5,6 +5,7 @@
  */
 
 import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
 import { Coils, CoilNames, CoilConfig } from '../config/HardwareConfig.js';
 
 class SolenoidDriver {
@@ -12,16 +13,15 @@ class SolenoidDriver {
         // Coil states (true = energized)
         this.states = new Map();
 
-        // Active pulse timers
-        this.pulseTimers = new Map();
-
         // Coil fire history for diagnostics
         this.history = [];
         this.maxHistory = 50;
 
         // Safety: max continuous hold time (prevents coil burnout)
         this.maxHoldTime = 5000; // 5 seconds
-        this.holdTimers = new Map();
+
+        // Coil power (cut by a tilt)
+        this.enabled = true;
 
         // Initialize all coils to off
         Object.values(Coils).forEach(coil => {
@@ -45,6 +45,11 @@ class SolenoidDriver {
             return;
         }
 
+        // Coil power is cut (tilt)
+        if (!this.enabled) {
+            return;
+        }
+
         // Don't fire if already active (for pulse coils)
         if (this.states.get(coilId) && config.type === 'pulse') {
             return;
@@ -61,7 +66,7 @@ class SolenoidDriver {
             coilId,
             coilName: CoilNames[coilId],
             type: config.type,
-            timestamp: performance.now()
+            timestamp: scheduler.now()
         });
 
         // Handle pulse vs hold coils
@@ -83,17 +88,12 @@ class SolenoidDriver {
             this.states.set(coilId, false);
 
             // Clear any pending timers
-            if (this.pulseTimers.has(coilId)) {
-                clearTimeout(this.pulseTimers.get(coilId));
-                this.pulseTimers.delete(coilId);
-            }
-
-            if (this.holdTimers.has(coilId)) {
-                clearTimeout(this.holdTimers.get(coilId));
-                this.holdTimers.delete(coilId);
-            }
+            scheduler.cancel(`coil.pulse.${coilId}`);
+            scheduler.cancel(`coil.hold.${coilId}`);
+            scheduler.cancel(`coil.run.${coilId}`);
 
             this.recordHistory(coilId, 'stop');
+            this.emitReleased(coilId);
         }
     }
 
@@ -103,18 +103,51 @@ class SolenoidDriver {
      * @param {number} duration - ms
      */
     schedulePulseOff(coilId, duration) {
-        // Clear any existing timer
-        if (this.pulseTimers.has(coilId)) {
-            clearTimeout(this.pulseTimers.get(coilId));
-        }
-
-        const timer = setTimeout(() => {
+        // Replaces any existing timer for this coil
+        scheduler.schedule(`coil.pulse.${coilId}`, duration, () => {
             this.states.set(coilId, false);
-            this.pulseTimers.delete(coilId);
             this.recordHistory(coilId, 'pulseEnd');
-        }, duration);
+            this.emitReleased(coilId);
+        });
+    }
+
+    /**
+     * Switch coil power on or off - while off nothing fires (tilt)
+     * Flippers and playfield kickers lose power too.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return;
 
-        this.pulseTimers.set(coilId, timer);
+        this.enabled = enabled;
+        if (!enabled) {
+            this.stopAll();
+        }
+        eventBus.emit(Events.COIL_POWER, { enabled });
+    }
+
+    /**
+     * Announce that a coil de-energized
+     * @param {number} coilId
+     */
+    emitReleased(coilId) {
+        eventBus.emit(Events.COIL_RELEASED, {
+            coilId,
+            coilName: CoilNames[coilId],
+            timestamp: scheduler.now()
+        });
+    }
+
+    /**
+     * Energize a hold coil for a fixed time
+     * @param {number} coilId
+     * @param {number} duration - ms (capped by the hold safety timeout)
+     */
+    run(coilId, duration) {
+        this.fire(coilId);
+        scheduler.schedule(`coil.run.${coilId}`, duration, () => {
+            this.stop(coilId);
+        });
     }
 
     /**
@@ -122,17 +155,11 @@ class SolenoidDriver {
      * @param {number} coilId
      */
     setHoldTimeout(coilId) {
-        // Clear any existing timer
-        if (this.holdTimers.has(coilId)) {
-            clearTimeout(this.holdTimers.get(coilId));
-        }
-
-        const timer = setTimeout(() => {
+        // Replaces any existing timer for this coil
+        scheduler.schedule(`coil.hold.${coilId}`, this.maxHoldTime, () => {
             console.warn(`Safety timeout: Coil ${CoilNames[coilId]} held too long, releasing`);
             this.stop(coilId);
-        }, this.maxHoldTime);
-
-        this.holdTimers.set(coilId, timer);
+        });
     }
 
     /**
@@ -235,6 +262,35 @@ class SolenoidDriver {
         this.fire(power ? Coils.C_POWER_SCOOP : Coils.C_SCOOP_EJECT);
     }
 
+    /**
+     * Kick the balls out of the tank locks
+     */
+    releaseTankLocks() {
+        this.fire(Coils.C_TANK_TRAP_RELEASE);
+    }
+
+    /**
+     * Energize the left ramp diverter, routing the next left ramp shot into the locks
+     * @param {number} duration - ms to hold it
+     */
+    divertLeftRamp(duration = 2000) {
+        this.run(Coils.C_LEFT_RAMP_DIVERTER, duration);
+    }
+
+    /**
+     * Raise the satellite ramp
+     */
+    raiseSatelliteRamp() {
+        this.fire(Coils.C_SATELLITE_RAMP_UP);
+    }
+
+    /**
+     * Run the satellite motor, which kicks out the left and satellite locks
+     */
+    releaseSatelliteLocks() {
+        this.run(Coils.C_SATELLITE_MOTOR, 1000);
+    }
+
     /**
      * Fire satellite magnet (magna-save)
      */
@@ -278,7 +334,7 @@ class SolenoidDriver {
             coilId,
             coilName: CoilNames[coilId],
             action,
-            timestamp: performance.now()
+            timestamp: scheduler.now()
         });
 
         if (this.history.length > this.maxHistory) {
@@ -325,6 +381,7 @@ class SolenoidDriver {
      */
     reset() {
         this.stopAll();
+        this.setEnabled(true);
         this.history = [];
     }
 }
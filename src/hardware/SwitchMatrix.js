@@ -5,6 +5,7 @@
  */
 
 import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
 import { Switches, SwitchNames, SwitchGroups } from '../config/HardwareConfig.js';
 
 class SwitchMatrix {
@@ -12,8 +13,7 @@ class SwitchMatrix {
         // Switch states (true = closed/activated)
         this.states = new Map();
 
-        // Debounce timers to prevent rapid re-triggering
-        this.debounceTimers = new Map();
+        // Debounce time to prevent rapid re-triggering (game-clock timers)
         this.debounceTime = 50; // ms
 
         // Switch activation history for combo detection
@@ -41,6 +41,11 @@ class SwitchMatrix {
 
         // Subscribe to physics collision events
         eventBus.on(Events.PHYSICS_COLLISION, this.handleCollision.bind(this));
+        eventBus.on(Events.PHYSICS_ZONE_EXIT, this.handleZoneExit.bind(this));
+
+        // Coin door
+        eventBus.on(Events.INPUT_COIN, this.handleCoinInput.bind(this));
+        eventBus.on(Events.INPUT_SERVICE, this.handleServiceInput.bind(this));
     }
 
     /**
@@ -50,7 +55,7 @@ class SwitchMatrix {
      */
     activate(switchId, data = {}) {
         // Check debounce
-        if (this.debounceTimers.has(switchId)) {
+        if (scheduler.isActive(`switch.debounce.${switchId}`)) {
             return;
         }
 
@@ -66,14 +71,12 @@ class SwitchMatrix {
             eventBus.emit(Events.SWITCH_ACTIVATED, {
                 switchId,
                 switchName: SwitchNames[switchId],
-                timestamp: performance.now(),
+                timestamp: scheduler.now(),
                 ...data
             });
 
             // Set debounce timer
-            this.debounceTimers.set(switchId, setTimeout(() => {
-                this.debounceTimers.delete(switchId);
-            }, this.debounceTime));
+            scheduler.schedule(`switch.debounce.${switchId}`, this.debounceTime, () => {});
         }
     }
 
@@ -90,7 +93,7 @@ class SwitchMatrix {
             eventBus.emit(Events.SWITCH_DEACTIVATED, {
                 switchId,
                 switchName: SwitchNames[switchId],
-                timestamp: performance.now()
+                timestamp: scheduler.now()
             });
         }
     }
@@ -152,22 +155,63 @@ class SwitchMatrix {
 
             // Auto-deactivate after a short delay for momentary switches
             if (!this.isHoldSwitch(data.switchId)) {
-                setTimeout(() => {
+                scheduler.schedule(`switch.release.${data.switchId}`, 100, () => {
                     this.deactivate(data.switchId);
-                }, 100);
+                });
             }
         }
     }
 
+    /**
+     * Handle a ball leaving a hold switch's zone
+     * @param {Object} data - { switchId }
+     */
+    handleZoneExit(data) {
+        if (data.switchId) {
+            this.deactivate(data.switchId);
+        }
+    }
+
+    /**
+     * Handle a coin dropping through a coin chute
+     * @param {Object} data - { pressed, chute } (chute 1-3, default 1)
+     */
+    handleCoinInput(data) {
+        const switchId = SwitchGroups.COINS[(data.chute ?? 1) - 1];
+        if (switchId === undefined) return;
+
+        if (data.pressed) {
+            this.activate(switchId);
+        } else {
+            this.deactivate(switchId);
+        }
+    }
+
+    /**
+     * Handle the coin door service buttons
+     * @param {Object} data - { pressed, button } ('enter' or 'escape')
+     */
+    handleServiceInput(data) {
+        const switchId = data.button === 'escape' ? Switches.SW_SERVICE_ESC : Switches.SW_SERVICE_ENTER;
+
+        if (data.pressed) {
+            this.activate(switchId);
+        } else {
+            this.deactivate(switchId);
+        }
+    }
+
     /**
      * Check if switch should stay held (vs momentary)
      * @param {number} switchId
      * @returns {boolean}
      */
     isHoldSwitch(switchId) {
-        // Trough optos, locks, and shooter lane are hold switches
+        // Trough optos, locks, scoop, shooter lane and flipper EOS are hold switches
         return SwitchGroups.TROUGH.includes(switchId) ||
+               SwitchGroups.FLIPPER_EOS.includes(switchId) ||
                switchId === Switches.SW_SHOOTER_LANE ||
+               switchId === Switches.SW_SCOOP ||
                switchId === Switches.SW_LEFT_LOCK ||
                switchId === Switches.SW_TANK_LOCK_1 ||
                switchId === Switches.SW_TANK_LOCK_2 ||
@@ -179,7 +223,7 @@ class SwitchMatrix {
      * @param {number} switchId
      */
     recordHistory(switchId) {
-        const now = performance.now();
+        const now = scheduler.now();
 
         // Add to history
         this.history.push({
@@ -202,12 +246,13 @@ class SwitchMatrix {
      * Check if a switch sequence occurred recently
      * @param {number[]} sequence - Array of switch IDs in order
      * @param {number} windowMs - Time window in ms
+     * @param {number} since - Ignore hits at or before this time (e.g. a sequence already awarded)
      * @returns {boolean}
      */
-    checkSequence(sequence, windowMs = 2500) {
-        const now = performance.now();
+    checkSequence(sequence, windowMs = 2500, since = -Infinity) {
+        const now = scheduler.now();
         const relevantHistory = this.history.filter(
-            entry => now - entry.timestamp < windowMs
+            entry => now - entry.timestamp < windowMs && entry.timestamp > since
         );
 
         if (relevantHistory.length < sequence.length) {
@@ -249,9 +294,9 @@ class SwitchMatrix {
         this.activate(switchId);
 
         if (holdTime > 0) {
-            setTimeout(() => {
+            scheduler.schedule(`switch.release.${switchId}`, holdTime, () => {
                 this.deactivate(switchId);
-            }, holdTime);
+            });
         }
     }
 
@@ -263,8 +308,7 @@ class SwitchMatrix {
             this.states.set(switchId, false);
         });
         this.history = [];
-        this.debounceTimers.forEach(timer => clearTimeout(timer));
-        this.debounceTimers.clear();
+        scheduler.cancelGroup('switch.');
     }
 
     /**
@@ -0,0 +1,217 @@
+/**
+ * headless.js
+ * Entry point for running GoldenEye 007 Pinball without a browser
+ * Wires physics, game logic and the state machine with no DOM, canvas or
+ * requestAnimationFrame, so games can be simulated in Node (e.g. in CI)
+ *
+ * Usage:
+ *   import app from './src/headless.js';
+ *   app.initialize();
+ *   app.pressStart();
+ *   app.step(60);
+ */
+
+import eventBus, { Events } from './core/EventBus.js';
+import gameLoop from './core/GameLoop.js';
+import stateMachine from './core/StateMachine.js';
+import headlessDriver from './core/HeadlessDriver.js';
+import replay, { Replay } from './core/Replay.js';
+import physicsEngine from './physics/PhysicsEngine.js';
+import switchMatrix from './hardware/SwitchMatrix.js';
+import lampMatrix from './hardware/LampMatrix.js';
+import solenoidDriver from './hardware/SolenoidDriver.js';
+import gameLogic from './logic/GameLogic.js';
+import modeManager from './logic/ModeManager.js';
+import highScores from './logic/HighScores.js';
+import scoringPipeline from './logic/ScoringPipeline.js';
+import settings from './logic/Settings.js';
+
+/**
+ * Headless Application
+ */
+class HeadlessApp {
+    constructor() {
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize all game systems (everything main.js does except the renderer)
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        physicsEngine.initialize();
+        gameLogic.initialize();
+
+        gameLoop.onUpdate((dt) => {
+            physicsEngine.update(dt);
+            gameLogic.update(dt);
+        });
+
+        stateMachine.start('attract');
+
+        this.initialized = true;
+    }
+
+    /**
+     * Advance the simulation by a number of fixed ticks
+     * @param {number} ticks
+     * @returns {number} Ticks actually run
+     */
+    step(ticks = 1) {
+        if (!this.initialized) {
+            console.error('Cannot step: not initialized');
+            return 0;
+        }
+        return headlessDriver.step(ticks);
+    }
+
+    /**
+     * Advance the simulation by an amount of game time
+     * @param {number} ms
+     * @returns {number} Ticks actually run
+     */
+    advance(ms) {
+        if (!this.initialized) {
+            console.error('Cannot advance: not initialized');
+            return 0;
+        }
+        return headlessDriver.advance(ms);
+    }
+
+    /**
+     * Advance until a condition holds
+     * @param {Function} predicate
+     * @param {number} maxTicks
+     * @returns {boolean} True if the condition was met
+     */
+    runUntil(predicate, maxTicks) {
+        return headlessDriver.runUntil(predicate, maxTicks);
+    }
+
+    /**
+     * Emit an input event, as the renderer would for a key press
+     * @param {string} event - One of the Events.INPUT_* names
+     * @param {boolean} pressed
+     */
+    input(event, pressed) {
+        eventBus.emit(event, { pressed });
+    }
+
+    /**
+     * Press and release the start button
+     */
+    pressStart() {
+        this.input(Events.INPUT_START, true);
+        this.input(Events.INPUT_START, false);
+    }
+
+    /**
+     * Load a table config (mode definitions)
+     * A replacing load also switches to the config's own high score table.
+     * @param {Array|string} data - Mode definitions, or their JSON form
+     * @param {string} namespace - High score table for the config
+     * @param {Object} options - See ModeManager.loadDefinitions
+     * @returns {number} Number of modes loaded
+     */
+    loadTable(data, namespace, options = {}) {
+        const count = modeManager.loadDefinitions(data, options);
+
+        // Additive loads extend the current table and keep its scores
+        if (count > 0 && options.replace !== false) {
+            highScores.setNamespace(namespace);
+        }
+        return count;
+    }
+
+    /**
+     * Start recording inputs for a replay, with the current settings
+     * @param {number} [seed]
+     */
+    startRecording(seed) {
+        replay.startRecording(seed, settings.getChanged());
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} Replay data, hashed against the current game state
+     */
+    stopRecording() {
+        return replay.stopRecording(gameLogic.getSnapshot());
+    }
+
+    /**
+     * Play a replay to the end
+     * Must be called on a freshly initialized app for an exact reproduction.
+     * The settings the replay was recorded with stay in effect afterwards.
+     * @param {Object|string} data - Replay data or its serialized form
+     * @returns {Object|null} { snapshot, verified }
+     */
+    playReplay(data) {
+        const replayData = typeof data === 'string' ? Replay.parse(data) : data;
+        if (!replayData || !Replay.validate(replayData)) return null;
+
+        settings.apply(replayData.settings ?? {});
+        if (!replay.play(replayData)) return null;
+
+        this.step(replayData.length);
+        replay.finish();
+
+        const snapshot = gameLogic.getSnapshot();
+        return {
+            snapshot,
+            verified: replayData.hash ? replay.verify(replayData, snapshot) : null
+        };
+    }
+
+    /**
+     * Pause the simulation
+     */
+    pause() {
+        gameLoop.pause();
+    }
+
+    /**
+     * Resume the simulation
+     */
+    resume() {
+        gameLoop.resume();
+    }
+
+    /**
+     * Get current game state for debugging
+     */
+    getDebugInfo() {
+        return {
+            state: stateMachine.getCurrentStatePath(),
+            tick: gameLoop.getTickCount(),
+            physics: physicsEngine.getDebugState(),
+            switches: switchMatrix.getDebugState(),
+            lamps: lampMatrix.getDebugState(),
+            coils: solenoidDriver.getDebugState()
+        };
+    }
+}
+
+// Create app instance
+const app = new HeadlessApp();
+
+export default app;
+export {
+    HeadlessApp,
+    eventBus,
+    Events,
+    gameLoop,
+    stateMachine,
+    headlessDriver,
+    replay,
+    physicsEngine,
+    switchMatrix,
+    lampMatrix,
+    solenoidDriver,
+    gameLogic,
+    modeManager,
+    highScores,
+    scoringPipeline,
+    settings
+};
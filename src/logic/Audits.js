@@ -0,0 +1,342 @@
+/**
+ * Audits.js
+ * Bookkeeping counters for the operator and the rule designers
+ * Everything is counted from EventBus events, so no game code calls in here.
+ * Counters survive a restart through Storage; they are saved at each ball
+ * launch and game end rather than on every switch hit. The service menu shows
+ * them and exports them as CSV or JSON.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
+import storage from '../core/Storage.js';
+import { Switches, SwitchNames } from '../config/HardwareConfig.js';
+import modeManager from './ModeManager.js';
+
+/**
+ * Counters in display order, with their service menu labels
+ */
+export const AuditCounters = [
+    { key: 'gamesStarted', label: 'GAMES STARTED' },
+    { key: 'gamesPlayed', label: 'GAMES PLAYED' },
+    { key: 'playersStarted', label: 'PLAYERS STARTED' },
+    { key: 'ballsPlayed', label: 'BALLS PLAYED' },
+    { key: 'ballSaves', label: 'BALL SAVES' },
+    { key: 'extraBalls', label: 'EXTRA BALLS' },
+    { key: 'replays', label: 'REPLAYS' },
+    { key: 'multiballs', label: 'MULTIBALLS' },
+    { key: 'jackpots', label: 'JACKPOTS' },
+    { key: 'superJackpots', label: 'SUPER JACKPOTS' },
+    { key: 'doubleJackpots', label: 'DOUBLE JACKPOTS' },
+    { key: 'tiltWarnings', label: 'TILT WARNINGS' },
+    { key: 'tilts', label: 'TILTS' },
+    { key: 'slamTilts', label: 'SLAM TILTS' },
+    { key: 'coins', label: 'COINS' },
+    { key: 'ballSearches', label: 'BALL SEARCHES' },
+    { key: 'ballsLost', label: 'BALLS LOST' },
+    // Totals behind the averages
+    { key: 'gameTime', label: 'TOTAL GAME TIME' },
+    { key: 'scoreTotal', label: 'TOTAL SCORE' },
+    { key: 'playerGames', label: 'PLAYER GAMES' }
+];
+
+/**
+ * Audits
+ */
+class Audits {
+    constructor() {
+        this.reset(false);
+
+        // Clock time the running game started, or null between games
+        this.gameStartTime = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Count game events
+     */
+    setupEventListeners() {
+        eventBus.on(Events.GAME_START, (data) => {
+            this.gameStartTime = scheduler.now();
+            this.count('gamesStarted');
+            this.count('playersStarted', data?.players ?? 1);
+        });
+
+        eventBus.on(Events.PLAYER_ADDED, () => this.count('playersStarted'));
+
+        // Game time stops at the last ball, before match and initials entry
+        eventBus.on(Events.GAME_FINISHED, (data) => {
+            if (this.gameStartTime === null) return;
+
+            const scores = data?.scores ?? [];
+            this.count('gamesPlayed');
+            this.count('gameTime', scheduler.now() - this.gameStartTime);
+            this.count('playerGames', scores.length);
+            this.count('scoreTotal', scores.reduce((total, entry) => total + entry.score, 0));
+            this.gameStartTime = null;
+            this.save();
+        });
+
+        // A game still running here was cut short (e.g. by the service menu)
+        eventBus.on(Events.GAME_OVER, () => {
+            this.gameStartTime = null;
+            this.save();
+        });
+
+        eventBus.on(Events.BALL_LAUNCH, (data) => {
+            // A shoot again is the same ball, not another one
+            if (!data?.shootAgain) this.count('ballsPlayed');
+            this.save();
+        });
+
+        // Switch hits only count in games - not the service switch test
+        eventBus.on(Events.SWITCH_ACTIVATED, (data) => {
+            if (this.gameStartTime === null) return;
+            this.switches[data.switchId] = (this.switches[data.switchId] ?? 0) + 1;
+        });
+
+        eventBus.on(Events.MODE_START, (data) => this.countMode(data.mode, 'started'));
+        eventBus.on(Events.MODE_END, (data) => {
+            if (data.completed) this.countMode(data.mode, 'completed');
+        });
+
+        eventBus.on(Events.MULTIBALL_START, (data) => {
+            this.count('multiballs');
+            this.multiballs[data.type] = (this.multiballs[data.type] ?? 0) + 1;
+        });
+
+        eventBus.on(Events.MULTIBALL_JACKPOT, (data) => {
+            this.count('jackpots');
+            if (data.superJackpot) this.count('superJackpots');
+            if (data.doubleJackpot) this.count('doubleJackpots');
+        });
+
+        eventBus.on(Events.BALL_SAVED, () => this.count('ballSaves'));
+        eventBus.on(Events.EXTRA_BALL, () => this.count('extraBalls'));
+        eventBus.on(Events.REPLAY, () => this.count('replays'));
+        eventBus.on(Events.TILT_WARNING, () => this.count('tiltWarnings'));
+        eventBus.on(Events.TILT, () => this.count('tilts'));
+        eventBus.on(Events.SLAM_TILT, () => this.count('slamTilts'));
+        eventBus.on(Events.COIN_INSERTED, () => this.count('coins'));
+
+        eventBus.on(Events.BALL_SEARCH, (data) => {
+            if (data.status === 'searching' && data.round === 1) this.count('ballSearches');
+            if (data.status === 'lost') this.count('ballsLost');
+        });
+    }
+
+    /**
+     * Restore saved counters, dropping any that aren't counts
+     */
+    load() {
+        const stored = storage.load('audits', {}) ?? {};
+        const isCount = value => Number.isFinite(value) && value >= 0;
+
+        this.reset(false);
+        AuditCounters.forEach(({ key }) => {
+            if (isCount(stored.counters?.[key])) this.counters[key] = stored.counters[key];
+        });
+        for (const [id, value] of Object.entries(stored.switches ?? {})) {
+            if (SwitchNames[id] && isCount(value)) this.switches[id] = value;
+        }
+        for (const [mode, value] of Object.entries(stored.modes ?? {})) {
+            if (isCount(value?.started) && isCount(value?.completed)) {
+                this.modes[mode] = { started: value.started, completed: value.completed };
+            }
+        }
+        for (const [type, value] of Object.entries(stored.multiballs ?? {})) {
+            if (isCount(value)) this.multiballs[type] = value;
+        }
+    }
+
+    /**
+     * Save counters
+     */
+    save() {
+        storage.save('audits', {
+            counters: this.counters,
+            switches: this.switches,
+            modes: this.modes,
+            multiballs: this.multiballs
+        });
+    }
+
+    /**
+     * Zero every counter
+     * @param {boolean} [persist=true] - Also clear the saved counters
+     */
+    reset(persist = true) {
+        this.counters = Object.fromEntries(AuditCounters.map(({ key }) => [key, 0]));
+        this.switches = {};
+        this.modes = {};
+        this.multiballs = {};
+
+        if (persist) {
+            this.save();
+            console.log('Audits reset');
+        }
+    }
+
+    /**
+     * Add to a counter
+     * @param {string} key
+     * @param {number} [amount=1]
+     */
+    count(key, amount = 1) {
+        this.counters[key] += amount;
+    }
+
+    /**
+     * Count a mode start or completion
+     * @param {string} mode - Mode name
+     * @param {string} field - 'started' or 'completed'
+     */
+    countMode(mode, field) {
+        if (!this.modes[mode]) {
+            this.modes[mode] = { started: 0, completed: 0 };
+        }
+        this.modes[mode][field]++;
+    }
+
+    /**
+     * Average game length
+     * @returns {number} ms
+     */
+    getAverageGameTime() {
+        const { gamesPlayed, gameTime } = this.counters;
+        return gamesPlayed > 0 ? Math.round(gameTime / gamesPlayed) : 0;
+    }
+
+    /**
+     * Average score per player game
+     * @returns {number}
+     */
+    getAverageScore() {
+        const { playerGames, scoreTotal } = this.counters;
+        return playerGames > 0 ? Math.round(scoreTotal / playerGames) : 0;
+    }
+
+    /**
+     * Hits for every switch, including the ones that never closed
+     * @returns {Array<{switchId: number, name: string, hits: number}>}
+     */
+    getSwitchHits() {
+        return Object.values(Switches)
+            .sort((a, b) => a - b)
+            .map(switchId => ({
+                switchId,
+                name: SwitchNames[switchId],
+                hits: this.switches[switchId] ?? 0
+            }));
+    }
+
+    /**
+     * Starts and completions for every mode
+     * @returns {Array<{mode: string, title: string, started: number, completed: number}>}
+     */
+    getModeCounts() {
+        // Loaded definitions first, then modes only seen in the saved counts
+        const titles = new Map([...modeManager.definitions.values()].map(def => [def.name, def.title]));
+        Object.keys(this.modes).forEach(mode => {
+            if (!titles.has(mode)) titles.set(mode, mode);
+        });
+
+        return [...titles].map(([mode, title]) => ({
+            mode,
+            title,
+            started: this.modes[mode]?.started ?? 0,
+            completed: this.modes[mode]?.completed ?? 0
+        }));
+    }
+
+    /**
+     * Service menu lines
+     * @returns {string[]}
+     */
+    getLines() {
+        const seconds = Math.round(this.getAverageGameTime() / 1000);
+        const lines = [
+            `AVG GAME TIME ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`,
+            `AVG SCORE ${this.getAverageScore().toLocaleString()}`,
+            ...AuditCounters
+                .filter(({ key }) => key !== 'gameTime')
+                .map(({ key, label }) => `${label} ${this.counters[key].toLocaleString()}`)
+        ];
+
+        this.getModeCounts().forEach(({ title, started, completed }) => {
+            lines.push(`${title.toUpperCase()} ${completed}/${started}`);
+        });
+        Object.entries(this.multiballs).forEach(([type, count]) => {
+            lines.push(`${type.toUpperCase()} MULTIBALL ${count}`);
+        });
+        return lines;
+    }
+
+    /**
+     * All audits as one object
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            exported: new Date().toISOString(),
+            counters: { ...this.counters },
+            averages: {
+                gameTime: this.getAverageGameTime(),
+                score: this.getAverageScore()
+            },
+            switches: this.getSwitchHits(),
+            modes: this.getModeCounts(),
+            multiballs: { ...this.multiballs }
+        };
+    }
+
+    /**
+     * All audits as CSV rows of section,name,value
+     * @returns {string}
+     */
+    toCSV() {
+        const rows = [['section', 'name', 'value']];
+
+        AuditCounters.forEach(({ key }) => rows.push(['counter', key, this.counters[key]]));
+        rows.push(['average', 'gameTime', this.getAverageGameTime()]);
+        rows.push(['average', 'score', this.getAverageScore()]);
+        this.getSwitchHits().forEach(({ switchId, name, hits }) => {
+            rows.push(['switch', `${switchId} ${name}`, hits]);
+        });
+        this.getModeCounts().forEach(({ mode, started, completed }) => {
+            rows.push(['modeStarted', mode, started]);
+            rows.push(['modeCompleted', mode, completed]);
+        });
+        Object.entries(this.multiballs).forEach(([type, count]) => {
+            rows.push(['multiball', type, count]);
+        });
+
+        const field = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(field).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Export the audits (main.js offers the file as a download)
+     * @param {string} format - 'csv' or 'json'
+     * @returns {string} Exported data
+     */
+    export(format) {
+        this.save();
+
+        const data = format === 'csv' ? this.toCSV() : JSON.stringify(this.toJSON(), null, 2);
+        const filename = `audits.${format === 'csv' ? 'csv' : 'json'}`;
+
+        console.log(`Audits exported as ${filename}`);
+        eventBus.emit(Events.AUDITS_EXPORTED, { format, filename, data });
+        return data;
+    }
+}
+
+// Export singleton
+const audits = new Audits();
+export default audits;
+export { Audits };
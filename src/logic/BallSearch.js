@@ -0,0 +1,203 @@
+/**
+ * BallSearch.js
+ * Finds balls that stopped moving while a ball is in play
+ * If no playfield switch closes for BALL_SEARCH_TIME the search pulses the
+ * playfield coils one at a time, repeating after a pause. Any playfield switch
+ * ends the search. Once BALL_SEARCH_ROUNDS rounds find nothing, the stuck ball
+ * is taken off the playfield and the game is told it was lost, so it can
+ * serve a replacement and the count of balls in play stays right.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
+import { Switches, SwitchGroups, Coils, CoilConfig, GameSettings } from '../config/HardwareConfig.js';
+import solenoidDriver from '../hardware/SolenoidDriver.js';
+import switchMatrix from '../hardware/SwitchMatrix.js';
+import physicsEngine from '../physics/PhysicsEngine.js';
+import settings from './Settings.js';
+
+// Coils pulsed by a search, in order (no flippers, magnet, diverters or knocker)
+const SEARCH_COILS = [
+    Coils.C_SCOOP_EJECT,
+    Coils.C_TANK_TRAP_RELEASE,
+    Coils.C_SATELLITE_MOTOR,
+    Coils.C_BUMPER_LEFT,
+    Coils.C_BUMPER_BOTTOM,
+    Coils.C_BUMPER_RIGHT,
+    Coils.C_SLING_LEFT,
+    Coils.C_SLING_RIGHT
+];
+
+// Switches that say nothing about a ball on the playfield
+const IGNORED_SWITCHES = new Set([
+    Switches.SW_PLUMB_TILT, Switches.SW_SLAM_TILT, Switches.SW_START_BUTTON,
+    ...SwitchGroups.COINS,
+    Switches.SW_SERVICE_ENTER, Switches.SW_SERVICE_ESC,
+    ...SwitchGroups.TROUGH,
+    Switches.SW_TROUGH_STACK, Switches.SW_TROUGH_VUK,
+    ...SwitchGroups.FLIPPER_EOS
+]);
+
+// Game timers that are about to move a ball themselves
+const PENDING_TIMERS = ['scoopEject', 'lockServe', 'tankRelease', 'ballSaveRelaunch', 'multiballFeed'];
+
+/**
+ * Ball Search
+ */
+class BallSearch {
+    constructor() {
+        // Watching for a quiet playfield (a ball is in play)
+        this.running = false;
+
+        // Search rounds made since the last playfield switch (0 = not searching)
+        this.round = 0;
+
+        // Game callbacks, see start()
+        this.isHeld = () => false;
+        this.onBallLost = null;
+
+        eventBus.on(Events.SWITCH_ACTIVATED, (data) => this.handleSwitch(data.switchId));
+    }
+
+    /**
+     * Start watching - called when a ball goes into play
+     * @param {Object} options
+     * @param {Function} [options.isHeld] - (coilId) => true if the coil would kick
+     *   out balls the game is holding on purpose (e.g. locked balls)
+     * @param {Function} [options.onBallLost] - Called after a stuck ball is removed
+     */
+    start(options = {}) {
+        this.isHeld = options.isHeld ?? (() => false);
+        this.onBallLost = options.onBallLost ?? null;
+        this.running = true;
+        this.restart();
+    }
+
+    /**
+     * Stop watching and searching - called when the ball ends
+     */
+    stop() {
+        this.running = false;
+        this.round = 0;
+        scheduler.cancel('ballSearch');
+        scheduler.cancel('ballSearchPulse');
+    }
+
+    /**
+     * Check if a search is under way
+     * @returns {boolean}
+     */
+    isSearching() {
+        return this.round > 0;
+    }
+
+    /**
+     * Begin a new quiet period
+     */
+    restart() {
+        this.round = 0;
+        scheduler.cancel('ballSearchPulse');
+        scheduler.schedule('ballSearch', settings.get('BALL_SEARCH_TIME'), () => this.search());
+    }
+
+    /**
+     * Any playfield switch means the ball is moving
+     * @param {number} switchId
+     */
+    handleSwitch(switchId) {
+        if (!this.running || IGNORED_SWITCHES.has(switchId)) return;
+
+        if (this.isSearching()) {
+            console.log(`Ball search: ball found after ${this.round} round(s)`);
+            eventBus.emit(Events.BALL_SEARCH, { status: 'found', round: this.round });
+        }
+        this.restart();
+    }
+
+    /**
+     * Check if the game is about to move a ball anyway
+     * A ball waiting in the shooter lane isn't stuck either, and neither is
+     * one the player may be cradling on a raised flipper.
+     * @returns {boolean}
+     */
+    isWaiting() {
+        return switchMatrix.isBallInShooterLane() ||
+            SwitchGroups.FLIPPER_EOS.some(switchId => switchMatrix.isActive(switchId)) ||
+            PENDING_TIMERS.some(name => scheduler.isActive(name));
+    }
+
+    /**
+     * Run the next search round, or give the ball up after the last one
+     */
+    search() {
+        if (this.isWaiting()) {
+            this.restart();
+            return;
+        }
+
+        if (this.round >= settings.get('BALL_SEARCH_ROUNDS')) {
+            this.declareLost();
+            return;
+        }
+
+        this.round++;
+        console.log(`Ball search round ${this.round}`);
+        eventBus.emit(Events.BALL_SEARCH, { status: 'searching', round: this.round });
+
+        const coils = SEARCH_COILS.filter(coilId => !this.isHeld(coilId));
+        let index = 0;
+
+        scheduler.every('ballSearchPulse', GameSettings.BALL_SEARCH_PULSE_GAP, () => {
+            this.pulse(coils[index++]);
+            if (index >= coils.length) {
+                scheduler.schedule('ballSearch', GameSettings.BALL_SEARCH_ROUND_PAUSE, () => this.search());
+            }
+        }, coils.length);
+    }
+
+    /**
+     * Pulse one coil (hold coils run briefly)
+     * @param {number} coilId
+     */
+    pulse(coilId) {
+        if (CoilConfig[coilId]?.type === 'pulse') {
+            solenoidDriver.fire(coilId);
+        } else {
+            solenoidDriver.run(coilId, GameSettings.BALL_SEARCH_HOLD_TIME);
+        }
+    }
+
+    /**
+     * Nothing turned up - take the stuck ball off the playfield
+     * Balls held on purpose stay; of the rest, the slowest is taken to be stuck.
+     */
+    declareLost() {
+        const held = new Set(physicsEngine.collisionZones
+            .filter(zone => zone.releaseCoil && this.isHeld(zone.releaseCoil))
+            .map(zone => zone.name));
+
+        const speed = ball => ball.captured ? 0 : Math.hypot(ball.vx, ball.vy);
+        const stuck = physicsEngine.balls
+            .filter(ball => ball.active && !(ball.captured && held.has(ball.capturedBy)))
+            .sort((a, b) => speed(a) - speed(b))[0];
+
+        if (stuck) {
+            physicsEngine.loseBall(stuck);
+        }
+
+        console.warn(`Ball search: ball ${stuck ? stuck.id : '?'} declared lost after ${this.round} round(s)`);
+        eventBus.emit(Events.BALL_SEARCH, {
+            status: 'lost',
+            round: this.round,
+            ballId: stuck ? stuck.id : null
+        });
+
+        this.restart();
+        if (this.onBallLost) this.onBallLost(stuck ?? null);
+    }
+}
+
+// Export singleton
+const ballSearch = new BallSearch();
+export default ballSearch;
+export { BallSearch };
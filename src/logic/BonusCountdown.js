@@ -0,0 +1,186 @@
+/**
+ * BonusCountdown.js
+ * End-of-ball bonus sequence
+ * Each bonus category the player collected is shown and counted up in turn,
+ * then the bonus multiplier is applied and the total scored. Both flippers
+ * skip straight to the total. The game's ballEnd state runs the sequence.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
+import { Scoring, GameSettings } from '../config/HardwareConfig.js';
+import scoringPipeline, { ScoreSources } from './ScoringPipeline.js';
+
+/**
+ * Bonus categories, in countdown order
+ * Players count how many of each they collected during the ball (Player.addBonus).
+ */
+export const BonusItems = [
+    { name: 'targets', title: 'TARGETS', value: Scoring.BONUS_PER_TARGET },
+    { name: 'ramps', title: 'RAMPS', value: Scoring.BONUS_PER_RAMP },
+    { name: 'combos', title: 'COMBOS', value: Scoring.BONUS_PER_COMBO },
+    { name: 'modes', title: 'MODES', value: Scoring.BONUS_PER_MODE }
+];
+
+// Each category counts up in at most this many steps
+const MAX_COUNT_STEPS = 20;
+
+/**
+ * Bonus Countdown
+ */
+class BonusCountdown {
+    constructor() {
+        this.player = null;
+        this.steps = [];
+        this.stepIndex = 0;
+        this.total = 0;
+        this.onComplete = null;
+    }
+
+    /**
+     * Run the bonus sequence for a player
+     * @param {Player} player
+     * @param {Function} onComplete - Called once the bonus is scored
+     */
+    start(player, onComplete) {
+        this.reset();
+
+        this.player = player;
+        this.onComplete = onComplete;
+        this.total = 0;
+        this.stepIndex = 0;
+        this.steps = BonusItems
+            .filter(item => (player.bonusCounts[item.name] ?? 0) > 0)
+            .map(item => ({
+                ...item,
+                count: player.bonusCounts[item.name],
+                shown: 0
+            }));
+
+        eventBus.emit(Events.BONUS_START, {
+            player: player.number,
+            items: this.steps.map(step => ({ name: step.name, title: step.title, count: step.count })),
+            multiplier: player.bonusMultiplier
+        });
+
+        this.nextStep();
+    }
+
+    /**
+     * Show the next category, or the multiplier once they are all counted
+     */
+    nextStep() {
+        const step = this.steps[this.stepIndex];
+        if (!step) {
+            scheduler.schedule('bonus', GameSettings.BONUS_ITEM_PAUSE, () => this.showMultiplier());
+            return;
+        }
+
+        const increment = Math.ceil(step.count / MAX_COUNT_STEPS);
+        scheduler.every('bonus', GameSettings.BONUS_COUNT_INTERVAL, () => {
+            const added = Math.min(increment, step.count - step.shown);
+            step.shown += added;
+            this.total += added * step.value;
+            this.emitStep(step);
+
+            if (step.shown >= step.count) {
+                this.stepIndex++;
+                scheduler.schedule('bonus', GameSettings.BONUS_ITEM_PAUSE, () => this.nextStep());
+            }
+        });
+    }
+
+    /**
+     * Emit the progress of a category
+     * @param {Object} step
+     */
+    emitStep(step) {
+        eventBus.emit(Events.BONUS_STEP, {
+            item: step.name,
+            title: step.title,
+            count: step.shown,
+            value: step.value,
+            points: step.shown * step.value,
+            subtotal: this.total
+        });
+    }
+
+    /**
+     * Show the multiplier, then score the total
+     */
+    showMultiplier() {
+        eventBus.emit(Events.BONUS_STEP, {
+            item: 'multiplier',
+            title: `${this.player.bonusMultiplier}X`,
+            count: this.player.bonusMultiplier,
+            subtotal: this.total
+        });
+
+        scheduler.schedule('bonus', GameSettings.BONUS_ITEM_PAUSE, () => this.finish());
+    }
+
+    /**
+     * Skip the rest of the count (both flippers)
+     */
+    skip() {
+        if (!this.player) return;
+
+        scheduler.cancel('bonus');
+        this.steps.slice(this.stepIndex).forEach(step => {
+            this.total += (step.count - step.shown) * step.value;
+            step.shown = step.count;
+        });
+        this.stepIndex = this.steps.length;
+        this.finish();
+    }
+
+    /**
+     * Score the total and hand back to the game
+     */
+    finish() {
+        const player = this.player;
+        const multiplier = player.bonusMultiplier;
+
+        const points = scoringPipeline.award(player, this.total, ScoreSources.BONUS, { multiplier });
+
+        console.log(`Bonus ${this.total} x${multiplier} = ${points}`);
+        eventBus.emit(Events.BONUS_AWARDED, {
+            player: player.number,
+            base: this.total,
+            multiplier,
+            points
+        });
+
+        const onComplete = this.onComplete;
+        this.player = null;
+        this.onComplete = null;
+
+        // Let the total sit on the display for a moment
+        scheduler.schedule('bonus', GameSettings.BONUS_TOTAL_TIME, () => {
+            if (onComplete) onComplete();
+        });
+    }
+
+    /**
+     * Check if the count is running
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.player !== null;
+    }
+
+    /**
+     * Abandon any running count (game ended)
+     */
+    reset() {
+        scheduler.cancel('bonus');
+        this.player = null;
+        this.onComplete = null;
+        this.steps = [];
+    }
+}
+
+// Export singleton
+const bonusCountdown = new BonusCountdown();
+export default bonusCountdown;
+export { BonusCountdown };
@@ -0,0 +1,206 @@
+/**
+ * ComboManager.js
+ * Combo shot detection (SPEC 5.3)
+ * Combos are matched against the switch history with SwitchMatrix.checkSequence.
+ * While the next shot of a combo would score it, its multiplier lamp flashes.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
+import { Switches, Lamps, LampState, Scoring, GameSettings } from '../config/HardwareConfig.js';
+import switchMatrix from '../hardware/SwitchMatrix.js';
+import lampMatrix from '../hardware/LampMatrix.js';
+import scoringPipeline, { ScoreSources } from './ScoringPipeline.js';
+
+/**
+ * Combo definitions
+ * sequence: switch IDs in shot order; window: ms to make the whole sequence
+ * Award is Scoring.COMBO_RAMP x multiplier (plus any active score modifiers).
+ */
+export const ComboDefinitions = [
+    {
+        name: 'leftOrbit',
+        title: 'Left Orbit',
+        sequence: [Switches.SW_LEFT_RAMP_MADE, Switches.SW_LEFT_ORBIT],
+        multiplier: 2
+    },
+    {
+        name: 'rightOrbit',
+        title: 'Right Orbit',
+        sequence: [Switches.SW_RIGHT_RAMP_EXIT, Switches.SW_RIGHT_ORBIT],
+        multiplier: 2
+    },
+    {
+        name: 'superCombo',
+        title: 'Super Combo',
+        sequence: [Switches.SW_LEFT_RAMP_MADE, Switches.SW_RIGHT_RAMP_EXIT, Switches.SW_SCOOP],
+        multiplier: 4
+    },
+    {
+        name: 'satelliteCombo',
+        title: 'Satellite Combo',
+        sequence: [Switches.SW_CENTER_RAMP_EXIT, Switches.SW_SATELLITE_SHOT],
+        multiplier: 3
+    }
+];
+
+// How often lit combos are rechecked so lamps go out when the window closes
+const LIT_CHECK_INTERVAL = 100;
+
+/**
+ * Combo Manager
+ */
+class ComboManager {
+    constructor() {
+        this.combos = ComboDefinitions.map(def => ({
+            window: GameSettings.COMBO_WINDOW,
+            ...def
+        }));
+
+        // Every switch that takes part in some combo
+        this.comboSwitches = new Set(this.combos.flatMap(combo => combo.sequence));
+
+        // Time each combo was last awarded - its shots can't count twice
+        this.awardedAt = new Map();
+
+        // Names of combos one shot from completion
+        this.lit = [];
+    }
+
+    /**
+     * Check a switch hit for completed combos
+     * @param {number} switchId
+     * @param {Player} player - Player to award
+     * @returns {Array} Combos awarded by this hit
+     */
+    handleSwitch(switchId, player) {
+        if (!this.comboSwitches.has(switchId)) return [];
+
+        const awarded = this.combos.filter(combo =>
+            combo.sequence[combo.sequence.length - 1] === switchId &&
+            this.isSequenceMade(combo, combo.sequence)
+        );
+
+        awarded.forEach(combo => this.award(combo, player));
+
+        this.updateLit();
+        return awarded;
+    }
+
+    /**
+     * Check whether shots of a combo were made within its window
+     * @param {Object} combo
+     * @param {number[]} shots - The full sequence or a leading part of it
+     * @returns {boolean}
+     */
+    isSequenceMade(combo, shots) {
+        return switchMatrix.checkSequence(
+            shots,
+            combo.window,
+            this.awardedAt.get(combo.name) ?? -Infinity
+        );
+    }
+
+    /**
+     * Award a combo
+     * @param {Object} combo
+     * @param {Player} player
+     */
+    award(combo, player) {
+        this.awardedAt.set(combo.name, scheduler.now());
+
+        const points = scoringPipeline.award(player, Scoring.COMBO_RAMP, ScoreSources.COMBO, {
+            multiplier: combo.multiplier
+        });
+
+        console.log(`Combo: ${combo.title} ${combo.multiplier}X +${points}`);
+        eventBus.emit(Events.COMBO_COMPLETE, {
+            combo: combo.name,
+            title: combo.title,
+            multiplier: combo.multiplier,
+            points
+        });
+    }
+
+    /**
+     * Work out which combos are one shot away and update the combo lamps
+     */
+    updateLit() {
+        const lit = this.combos
+            .filter(combo => this.isSequenceMade(combo, combo.sequence.slice(0, -1)))
+            .map(combo => combo.name);
+
+        const changed = lit.length !== this.lit.length ||
+            lit.some(name => !this.lit.includes(name));
+        this.lit = lit;
+
+        if (lit.length > 0) {
+            if (!scheduler.isActive('combo')) {
+                scheduler.every('combo', LIT_CHECK_INTERVAL, () => this.updateLit());
+            }
+        } else {
+            scheduler.cancel('combo');
+        }
+
+        if (!changed) return;
+
+        this.updateLamps();
+        eventBus.emit(Events.COMBO_LIT, {
+            combos: [...lit],
+            multiplier: this.getLitMultiplier()
+        });
+    }
+
+    /**
+     * Set L_COMBO_2X / L_COMBO_3X from the lit combos
+     * A lit 4X Super Combo flashes both.
+     */
+    updateLamps() {
+        const multipliers = this.combos
+            .filter(combo => this.lit.includes(combo.name))
+            .map(combo => combo.multiplier);
+
+        const lit2x = multipliers.includes(2) || multipliers.includes(4);
+        const lit3x = multipliers.includes(3) || multipliers.includes(4);
+
+        lampMatrix.setLamp(Lamps.L_COMBO_2X, lit2x ? LampState.BLINK_FAST : LampState.OFF);
+        lampMatrix.setLamp(Lamps.L_COMBO_3X, lit3x ? LampState.BLINK_FAST : LampState.OFF);
+    }
+
+    /**
+     * Get the best multiplier currently one shot away
+     * @returns {number} 0 if no combo is lit
+     */
+    getLitMultiplier() {
+        return this.combos
+            .filter(combo => this.lit.includes(combo.name))
+            .reduce((best, combo) => Math.max(best, combo.multiplier), 0);
+    }
+
+    /**
+     * Get lit combo names
+     * @returns {string[]}
+     */
+    getLit() {
+        return [...this.lit];
+    }
+
+    /**
+     * Clear combo state (ball end, game start)
+     */
+    reset() {
+        scheduler.cancel('combo');
+
+        // Shots already in the switch history can't start a combo
+        const now = scheduler.now();
+        this.combos.forEach(combo => this.awardedAt.set(combo.name, now));
+
+        this.lit = [];
+        this.updateLamps();
+    }
+}
+
+// Export singleton
+const comboManager = new ComboManager();
+export default comboManager;
+export { ComboManager };
@@ -0,0 +1,256 @@
+/**
+ * Credits.js
+ * Coin door, credits and the end-of-game match
+ * Coin switches add units that Pricing.CREDIT_TABLE turns into credits; each
+ * game and each added player costs one unless the game is set to free play.
+ * Credits survive a restart through Storage. At game end the match draws two
+ * digits and knocks off a credit for every player whose score ends in them.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
+import storage from '../core/Storage.js';
+import random from '../core/Random.js';
+import { GameSettings, Pricing } from '../config/HardwareConfig.js';
+import solenoidDriver from '../hardware/SolenoidDriver.js';
+import settings from './Settings.js';
+
+// Scoring is in thousands, so the match is made on the ten-thousands digit
+const MATCH_SCALE = 10000;
+const MATCH_SPIN_INTERVAL = 100;
+const MATCH_SHOW_TIME = 2000;
+
+/**
+ * Credits
+ */
+class Credits {
+    constructor() {
+        this.credits = 0;
+
+        // Coin units towards the next credits, and credits already given for them
+        this.units = 0;
+        this.unitCredits = 0;
+
+        // Running match: { players, number, onComplete }
+        this.match = null;
+    }
+
+    /**
+     * Restore saved credits
+     */
+    load() {
+        const stored = storage.load('credits');
+        this.credits = Number.isInteger(stored?.credits) ? stored.credits : 0;
+        this.units = Number.isInteger(stored?.units) ? stored.units : 0;
+        this.unitCredits = this.getTableCredits(this.units);
+        this.emitChanged();
+    }
+
+    /**
+     * Save credits
+     */
+    save() {
+        storage.save('credits', { credits: this.credits, units: this.units });
+    }
+
+    /**
+     * Check if games are free
+     * @returns {boolean}
+     */
+    isFreePlay() {
+        return settings.get('FREE_PLAY');
+    }
+
+    /**
+     * Credits due for a number of coin units in the current pricing cycle
+     * @param {number} units
+     * @returns {number}
+     */
+    getTableCredits(units) {
+        let credits = 0;
+        for (const row of Pricing.CREDIT_TABLE) {
+            if (units >= row.units) credits = row.credits;
+        }
+        return credits;
+    }
+
+    /**
+     * Count a coin
+     * @param {number} switchId - Coin switch the coin went through
+     */
+    insertCoin(switchId) {
+        const coinUnits = Pricing.COIN_UNITS[switchId] ?? 0;
+        if (coinUnits <= 0) return;
+
+        this.units += coinUnits;
+
+        const table = Pricing.CREDIT_TABLE;
+        const last = table[table.length - 1];
+        let earned = 0;
+
+        // Full pricing cycles, then whatever the remainder is worth
+        while (last && this.units >= last.units) {
+            earned += last.credits - this.unitCredits;
+            this.units -= last.units;
+            this.unitCredits = 0;
+        }
+        const due = this.getTableCredits(this.units);
+        earned += due - this.unitCredits;
+        this.unitCredits = due;
+
+        eventBus.emit(Events.COIN_INSERTED, { switchId, units: coinUnits });
+        this.addCredits(earned, 'coin');
+    }
+
+    /**
+     * Add credits (coins, replays, match)
+     * @param {number} count
+     * @param {string} reason
+     * @returns {number} Credits actually added (none beyond MAX_CREDITS)
+     */
+    addCredits(count, reason) {
+        const added = Math.max(0, Math.min(count, settings.get('MAX_CREDITS') - this.credits));
+        this.credits += added;
+        this.save();
+
+        if (added > 0) {
+            console.log(`+${added} credit(s) (${reason}), ${this.credits} total`);
+        }
+        this.emitChanged(reason);
+        return added;
+    }
+
+    /**
+     * Remove all credits and part-paid coins (operator)
+     */
+    clearCredits() {
+        this.credits = 0;
+        this.units = 0;
+        this.unitCredits = 0;
+        this.save();
+        this.emitChanged('cleared');
+    }
+
+    /**
+     * Check if a game or player can be started
+     * @returns {boolean}
+     */
+    canStart() {
+        return this.isFreePlay() || this.credits > 0;
+    }
+
+    /**
+     * Pay for a game or added player
+     * @returns {boolean} False if there are no credits (start is blocked)
+     */
+    useCredit() {
+        if (this.isFreePlay()) return true;
+
+        if (this.credits <= 0) {
+            eventBus.emit(Events.CREDITS_REQUIRED, {});
+            return false;
+        }
+
+        this.credits--;
+        this.save();
+        this.emitChanged('start');
+        return true;
+    }
+
+    /**
+     * Emit the credit display
+     * @param {string} [reason]
+     */
+    emitChanged(reason = null) {
+        eventBus.emit(Events.CREDITS_CHANGED, {
+            credits: this.credits,
+            freePlay: this.isFreePlay(),
+            reason
+        });
+    }
+
+    /**
+     * Check if the match runs at game end
+     * @returns {boolean}
+     */
+    isMatchEnabled() {
+        return settings.get('MATCH_ENABLED') && !this.isFreePlay();
+    }
+
+    /**
+     * Match digits of a score
+     * @param {number} score
+     * @returns {number} 0, 10, ... 90
+     */
+    getMatchDigits(score) {
+        return Math.floor(score / MATCH_SCALE) % 10 * 10;
+    }
+
+    /**
+     * Run the match sequence
+     * @param {Player[]} players
+     * @param {Function} onComplete - Called after the result has been shown
+     */
+    startMatch(players, onComplete) {
+        this.cancelMatch();
+
+        // Drawn up front so the spin doesn't change what the seeded RNG gives
+        const number = random.int(0, 9) * 10;
+        this.match = { players, number, onComplete };
+
+        const spins = Math.max(1, Math.round(GameSettings.MATCH_SPIN_TIME / MATCH_SPIN_INTERVAL));
+        let spin = 0;
+
+        scheduler.every('match', MATCH_SPIN_INTERVAL, () => {
+            spin++;
+            if (spin < spins) {
+                eventBus.emit(Events.MATCH_SEQUENCE, { number: (spin % 10) * 10, final: false });
+                return;
+            }
+            this.finishMatch();
+        }, spins);
+    }
+
+    /**
+     * Settle the match digits and award credits
+     */
+    finishMatch() {
+        const { players, number, onComplete } = this.match;
+
+        const winners = players.filter(player => this.getMatchDigits(player.score) === number);
+        if (winners.length > 0) {
+            solenoidDriver.fireKnocker();
+            this.addCredits(winners.length, 'match');
+        }
+
+        console.log(`Match ${String(number).padStart(2, '0')}: ` +
+            (winners.length > 0 ? winners.map(p => `player ${p.number}`).join(', ') : 'none'));
+        eventBus.emit(Events.MATCH_SEQUENCE, {
+            number,
+            final: true,
+            players: players.map(player => ({
+                player: player.number,
+                digits: this.getMatchDigits(player.score)
+            })),
+            winners: winners.map(player => player.number)
+        });
+
+        scheduler.schedule('match', MATCH_SHOW_TIME, () => {
+            this.match = null;
+            if (onComplete) onComplete();
+        });
+    }
+
+    /**
+     * Abandon a running match
+     */
+    cancelMatch() {
+        scheduler.cancel('match');
+        this.match = null;
+    }
+}
+
+// Export singleton
+const credits = new Credits();
+export default credits;
+export { Credits };
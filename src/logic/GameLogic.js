@@ -6,16 +6,72 @@
 
 import eventBus, { Events } from '../core/EventBus.js';
 import stateMachine, { State } from '../core/StateMachine.js';
+import scheduler from '../core/Scheduler.js';
 import {
     Switches, SwitchGroups, SwitchNames,
-    Lamps, LampState, LampGroups,
+    Lamps, LampNames, LampState, LampGroups,
     Coils, Scoring, GameSettings
 } from '../config/HardwareConfig.js';
 import lampMatrix from '../hardware/LampMatrix.js';
 import solenoidDriver from '../hardware/SolenoidDriver.js';
 import switchMatrix from '../hardware/SwitchMatrix.js';
 import physicsEngine from '../physics/PhysicsEngine.js';
-import renderer from '../render/Renderer.js';
+import modeManager from './ModeManager.js';
+import comboManager from './ComboManager.js';
+import magnaSave from './MagnaSave.js';
+import bonusCountdown, { BonusItems } from './BonusCountdown.js';
+import highScores from './HighScores.js';
+import credits from './Credits.js';
+import serviceMenu from './ServiceMenu.js';
+import settings from './Settings.js';
+import audits from './Audits.js';
+import ballSearch from './BallSearch.js';
+import scoringPipeline, { ScoreSources } from './ScoringPipeline.js';
+
+/**
+ * Skill shot selections (SPEC 5.1), cycled with the flipper buttons before launch
+ * targets: switches that make the skill shot (null = any playfield switch)
+ * passes: switches the ball may hit first without missing the skill shot
+ * lamps: lamps flashed to show the target
+ */
+const SkillShots = [
+    {
+        name: 'POINTS',
+        title: 'POINTS',
+        targets: SwitchGroups.TOP_LANES,
+        passes: [],
+        lamps: LampGroups.TOP_LANES
+    },
+    {
+        name: 'POPS',
+        title: 'POPS',
+        targets: SwitchGroups.BUMPERS,
+        passes: SwitchGroups.TOP_LANES,
+        lamps: LampGroups.BUMPERS
+    },
+    {
+        name: 'MODE_LITE',
+        title: 'MODE LITE',
+        targets: [Switches.SW_SCOOP],
+        passes: [...SwitchGroups.TOP_LANES, ...SwitchGroups.BUMPERS],
+        lamps: [Lamps.L_SCOOP]
+    },
+    {
+        name: '2X_SCORING',
+        title: '2X SCORING',
+        targets: null,
+        passes: [],
+        lamps: [...LampGroups.TOP_LANES, ...LampGroups.BUMPERS]
+    }
+];
+
+// Switches that never count for or against the skill shot
+const SKILL_SHOT_IGNORED = [Switches.SW_SHOOTER_LANE, ...SwitchGroups.TROUGH, ...SwitchGroups.FLIPPER_EOS];
+
+// Physical lock captors - shared by every player, so a lock made while they
+// are full of another player's balls is counted virtually
+const SATELLITE_LOCKS = ['left_lock', 'satellite_lock'];
+const TANK_LOCKS = ['tank_lock_1', 'tank_lock_2'];
 
 /**
  * Player data
@@ -25,44 +81,90 @@ class Player {
         this.number = number;
         this.score = 0;
         this.bonusMultiplier = 1;
-        this.bonus = 0;
-        this.ballsRemaining = GameSettings.BALLS_PER_GAME;
-        this.extraBalls = 0;
+        this.bonusCounts = {};        // Bonus items collected this ball, by BonusItems name
+        this.ballsPerGame = settings.get('BALLS_PER_GAME'); // Fixed when the player joins
+        this.ballsRemaining = this.ballsPerGame;
+        this.extraBalls = 0;          // Collected - the player shoots again
+        this.extraBallsLit = 0;       // Lit at the scoop, waiting to be collected
+        this.extraBallScoreAwarded = false;
+        this.replayAwarded = false;
 
         // Progress tracking
         this.leftBankHits = [false, false, false, false, false];
         this.rightBankHits = [false, false, false, false, false];
         this.centerDropsDown = [false, false, false];
         this.topLanesLit = [true, true, true];
+        this.scoopLit = false;        // Top lanes made or Mode Lite skill shot - scoop starts a mode
         this.modesCompleted = [];
         this.currentMode = null;
 
         // Multiball progress
         this.satelliteLocks = 0;
+        this.lockLit = false;
+        this.satelliteLit = false;     // Center bank made - left ramp raises the satellite
+        this.satelliteRaised = false;  // Satellite up - satellite shot starts multiball
         this.tankLocks = 0;
+        this.tankRampLit = false;      // Center target hit with both tank balls locked
         this.magnaSaveCharges = 1;
     }
 
+    /**
+     * Current ball number (1-based)
+     * @returns {number}
+     */
+    get ballNumber() {
+        return this.ballsPerGame - this.ballsRemaining + 1;
+    }
+
+    /**
+     * Bonus value collected this ball, before the multiplier
+     * @returns {number}
+     */
+    get bonus() {
+        return BonusItems.reduce((sum, item) => sum + (this.bonusCounts[item.name] ?? 0) * item.value, 0);
+    }
+
+    /**
+     * Collect a bonus item (counted up at the end of the ball)
+     * @param {string} item - BonusItems name
+     * @param {number} [count=1]
+     */
+    addBonus(item, count = 1) {
+        this.bonusCounts[item] = (this.bonusCounts[item] ?? 0) + count;
+    }
+
+    /**
+     * Add points as scored - awards should go through scoringPipeline.award
+     * @param {number} points
+     */
     addScore(points) {
         this.score += points;
-        renderer.updateScore(this.score);
         eventBus.emit(Events.SCORE_CHANGED, { player: this.number, score: this.score });
     }
 
     reset() {
         this.score = 0;
         this.bonusMultiplier = 1;
-        this.bonus = 0;
-        this.ballsRemaining = GameSettings.BALLS_PER_GAME;
+        this.bonusCounts = {};
+        this.ballsPerGame = settings.get('BALLS_PER_GAME');
+        this.ballsRemaining = this.ballsPerGame;
         this.extraBalls = 0;
+        this.extraBallsLit = 0;
+        this.extraBallScoreAwarded = false;
+        this.replayAwarded = false;
         this.leftBankHits = [false, false, false, false, false];
         this.rightBankHits = [false, false, false, false, false];
         this.centerDropsDown = [false, false, false];
         this.topLanesLit = [true, true, true];
+        this.scoopLit = false;
         this.modesCompleted = [];
         this.currentMode = null;
         this.satelliteLocks = 0;
+        this.lockLit = false;
+        this.satelliteLit = false;
+        this.satelliteRaised = false;
         this.tankLocks = 0;
+        this.tankRampLit = false;
         this.magnaSaveCharges = 1;
     }
 }
@@ -76,19 +178,31 @@ class GameLogic {
         this.currentPlayerIndex = 0;
         this.ballInPlay = false;
         this.ballSaveActive = false;
-        this.ballSaveTimer = null;
-        this.modeTimer = null;
-        this.comboTimer = null;
-        this.lastShot = null;
 
         // Skill shot state
         this.skillShotActive = false;
-        this.skillShotSelection = 0; // 0=POINTS, 1=POPS, 2=MODE_LITE, 3=2X
+        this.skillShotSelection = 0; // Index into SkillShots
+        this.skillShotLocked = false;
 
         // Multiball state
         this.multiballActive = false;
         this.multiballType = null; // 'satellite' or 'tank'
         this.multiballJackpot = 1000000;
+        this.superJackpotLit = false;
+        this.doubleJackpotAt = -Infinity; // Tank locks before this can't count again
+
+        // Tilt state (per ball)
+        this.tiltWarnings = 0;
+        this.tilted = false;
+
+        // Current ball is an extra ball for the same player
+        this.shootAgain = false;
+
+        // Flipper buttons held (both together skip the bonus count)
+        this.flippersHeld = { left: false, right: false };
+
+        // Game timers paused while the service menu is open
+        this.suspendedTimers = [];
 
         this.setupStateMachine();
         this.setupEventListeners();
@@ -111,17 +225,19 @@ class GameLogic {
             console.log('Entering Attract mode');
             lampMatrix.startShow('attract');
             lampMatrix.setLamp(Lamps.L_START_BUTTON, LampState.BLINK_SLOW);
-            renderer.updateScore(0);
-            renderer.updateBallNumber(1);
-            renderer.updateDebugState('ATTRACT');
+            eventBus.emit(Events.DEBUG_STATE, { state: 'ATTRACT' });
+            this.startAttractDisplay();
         };
         attractState.onExit = () => {
+            scheduler.cancel('attractDisplay');
             lampMatrix.stopShow();
             lampMatrix.setLamp(Lamps.L_START_BUTTON, LampState.OFF);
         };
         attractState.onEvent = (event, data) => {
             if (event === 'startGame') {
-                stateMachine.transition('game');
+                if (credits.useCredit()) {
+                    stateMachine.transition('game');
+                }
                 return true;
             }
             return false;
@@ -134,37 +250,47 @@ class GameLogic {
         const ballLaunchState = new State('ballLaunch', stateMachine);
         ballLaunchState.onEnter = () => {
             console.log('Ball Launch');
-            renderer.updateDebugState('BALL_LAUNCH');
+            eventBus.emit(Events.DEBUG_STATE, { state: 'BALL_LAUNCH' });
             this.prepareBallLaunch();
+            this.startSkillShotSelection();
         };
         ballLaunchState.onEvent = (event, data) => {
             if (event === 'ballLaunched') {
                 stateMachine.transition('game.skillShot');
                 return true;
             }
+            if (event === 'cycleSkillShot') {
+                this.skillShotSelection = (this.skillShotSelection + 1) % SkillShots.length;
+                this.updateSkillShotLamps();
+                this.emitSkillShotSelection();
+                return true;
+            }
             return false;
         };
 
         const skillShotState = new State('skillShot', stateMachine);
         skillShotState.onEnter = () => {
-            console.log('Skill Shot active');
-            renderer.updateDebugState('SKILL_SHOT');
-            this.skillShotActive = true;
-            this.skillShotSelection = 0;
-            this.updateSkillShotLamps();
+            console.log('Skill Shot active:', SkillShots[this.skillShotSelection].name);
+            eventBus.emit(Events.DEBUG_STATE, { state: 'SKILL_SHOT' });
+
+            // Ball has left the shooter lane - selection is locked in
+            this.skillShotLocked = true;
+            this.emitSkillShotSelection();
+
+            // From here on a ball can get stuck
+            this.startBallSearch();
         };
         skillShotState.onExit = () => {
-            this.skillShotActive = false;
-            lampMatrix.setGroup('TOP_LANES', LampState.OFF);
+            this.endSkillShot(false);
         };
         skillShotState.onEvent = (event, data) => {
             if (event === 'skillShotComplete' || event === 'skillShotMissed') {
                 stateMachine.transition('game.normalPlay');
                 return true;
             }
-            if (event === 'cycleSkillShot') {
-                this.skillShotSelection = (this.skillShotSelection + 1) % 4;
-                this.updateSkillShotLamps();
+            if (event === 'ballDrained') {
+                // Ball never reached the playfield - shoot again
+                this.saveBall();
                 return true;
             }
             return false;
@@ -173,8 +299,9 @@ class GameLogic {
         const normalPlayState = new State('normalPlay', stateMachine);
         normalPlayState.onEnter = () => {
             console.log('Normal Play');
-            renderer.updateDebugState('NORMAL_PLAY');
+            eventBus.emit(Events.DEBUG_STATE, { state: 'NORMAL_PLAY' });
             this.ballInPlay = true;
+            this.startBallSearch();
             this.startBallSave();
             this.updatePlayfieldLamps();
         };
@@ -191,11 +318,11 @@ class GameLogic {
                 return true;
             }
             if (event === 'startMode') {
-                stateMachine.transition('game.modeActive');
+                stateMachine.transition('game.modeActive', data);
                 return true;
             }
             if (event === 'startMultiball') {
-                stateMachine.transition('game.multiball');
+                stateMachine.transition('game.multiball', data);
                 return true;
             }
             return false;
@@ -204,15 +331,21 @@ class GameLogic {
         const modeActiveState = new State('modeActive', stateMachine);
         modeActiveState.onEnter = (params) => {
             console.log('Mode Active:', params?.mode);
-            renderer.updateDebugState('MODE: ' + (params?.mode || 'UNKNOWN'));
+            eventBus.emit(Events.DEBUG_STATE, { state: 'MODE: ' + (params?.mode || 'UNKNOWN') });
             this.startMode(params?.mode);
         };
         modeActiveState.onExit = () => {
             this.endMode();
         };
         modeActiveState.onEvent = (event, data) => {
+            if (event === 'switchHit') {
+                modeManager.handleSwitch(data.switchId);
+                return true;
+            }
             if (event === 'modeComplete' || event === 'modeTimeout') {
-                stateMachine.transition('game.normalPlay');
+                // Definitions choose where a mode exits to (see ModeDefinitions.js)
+                const next = data?.state ? data : { state: 'normalPlay' };
+                stateMachine.transition(`game.${next.state}`, next.params);
                 return true;
             }
             if (event === 'ballDrained') {
@@ -230,7 +363,7 @@ class GameLogic {
         const multiballState = new State('multiball', stateMachine);
         multiballState.onEnter = (params) => {
             console.log('Multiball!');
-            renderer.updateDebugState('MULTIBALL');
+            eventBus.emit(Events.DEBUG_STATE, { state: 'MULTIBALL' });
             this.startMultiball(params?.type || 'satellite');
         };
         multiballState.onExit = () => {
@@ -252,18 +385,102 @@ class GameLogic {
             return false;
         };
 
+        const tiltedState = new State('tilted', stateMachine);
+        tiltedState.onEnter = () => {
+            console.log('TILT');
+            eventBus.emit(Events.DEBUG_STATE, { state: 'TILTED' });
+
+            // No saves - every ball on the playfield has to drain
+            this.ballSaveActive = false;
+            scheduler.cancel('ballSave');
+            scheduler.cancel('multiballFeed');
+            scheduler.cancel('lockServe');
+
+            // Kick out a ball waiting in the scoop before the power goes
+            scheduler.cancel('scoopEject');
+            solenoidDriver.ejectFromScoop();
+            solenoidDriver.setEnabled(false);
+
+            lampMatrix.stopShow();
+            lampMatrix.allOff();
+        };
+        tiltedState.onExit = () => {
+            solenoidDriver.setEnabled(true);
+        };
+        tiltedState.onEvent = (event, data) => {
+            if (event === 'ballDrained') {
+                if (physicsEngine.getActiveBalls().length === 0) {
+                    stateMachine.transition('game.ballEnd');
+                }
+                return true;
+            }
+            return false;
+        };
+
         const ballEndState = new State('ballEnd', stateMachine);
         ballEndState.onEnter = () => {
             console.log('Ball End');
-            renderer.updateDebugState('BALL_END');
+            eventBus.emit(Events.DEBUG_STATE, { state: 'BALL_END' });
             this.endBall();
         };
         ballEndState.onEvent = (event, data) => {
+            if (event === 'bothFlippers') {
+                bonusCountdown.skip();
+                return true;
+            }
+            if (event === 'bonusComplete') {
+                this.finishBall();
+                return true;
+            }
             if (event === 'nextBall') {
                 stateMachine.transition('game.ballLaunch');
                 return true;
             }
             if (event === 'gameOver') {
+                eventBus.emit(Events.GAME_FINISHED, {
+                    scores: this.players.map(p => ({ player: p.number, score: p.score }))
+                });
+                stateMachine.transition(credits.isMatchEnabled() ? 'game.match' : this.getHighScoreState());
+                return true;
+            }
+            return false;
+        };
+
+        const matchState = new State('match', stateMachine);
+        matchState.onEnter = () => {
+            console.log('Match');
+            eventBus.emit(Events.DEBUG_STATE, { state: 'MATCH' });
+            credits.startMatch(this.players, () => {
+                stateMachine.sendEvent('matchComplete');
+            });
+        };
+        matchState.onEvent = (event, data) => {
+            if (event === 'matchComplete') {
+                stateMachine.transition(this.getHighScoreState());
+                return true;
+            }
+            return false;
+        };
+
+        // Initials for each player who made the high score table
+        const highScoreEntryState = new State('highScoreEntry', stateMachine);
+        highScoreEntryState.onEnter = () => {
+            console.log('High Score Entry');
+            eventBus.emit(Events.DEBUG_STATE, { state: 'HIGH_SCORE_ENTRY' });
+            highScores.startEntry(this.players, () => {
+                stateMachine.sendEvent('entryComplete');
+            });
+        };
+        highScoreEntryState.onEvent = (event, data) => {
+            if (event === 'flipperPressed') {
+                highScores.handleFlipper(data.isLeft);
+                return true;
+            }
+            if (event === 'startPressed') {
+                highScores.select();
+                return true;
+            }
+            if (event === 'entryComplete') {
                 stateMachine.transition('attract');
                 return true;
             }
@@ -276,7 +493,10 @@ class GameLogic {
         gameState.addChild(normalPlayState);
         gameState.addChild(modeActiveState);
         gameState.addChild(multiballState);
+        gameState.addChild(tiltedState);
         gameState.addChild(ballEndState);
+        gameState.addChild(matchState);
+        gameState.addChild(highScoreEntryState);
 
         gameState.onEnter = () => {
             console.log('Game Starting');
@@ -288,9 +508,66 @@ class GameLogic {
             this.endGame();
         };
 
+        // Service State - operator menu, over a suspended game if one is running
+        const serviceState = new State('service', stateMachine);
+        serviceState.onEnter = () => {
+            console.log('Entering Service mode');
+            if (stateMachine.hasSuspended()) this.suspendGame();
+            eventBus.emit(Events.DEBUG_STATE, { state: 'SERVICE' });
+            serviceMenu.open();
+        };
+        serviceState.onExit = () => {
+            serviceMenu.close();
+            if (stateMachine.hasSuspended()) this.resumeGame();
+        };
+        serviceState.onEvent = (event, data) => {
+            if (event === 'flipperPressed') {
+                serviceMenu.handleFlipper(data.isLeft);
+                return true;
+            }
+            if (event === 'startPressed') {
+                serviceMenu.select();
+                return true;
+            }
+            if (event === 'switchHit') {
+                // Backing out of the top menu picks the game up where it stopped
+                if (!serviceMenu.handleSwitch(data.switchId)) {
+                    if (stateMachine.hasSuspended()) {
+                        stateMachine.resumeSuspended();
+                    } else {
+                        stateMachine.transition('attract');
+                    }
+                }
+                return true;
+            }
+            return false;
+        };
+
         // Add states to machine
         stateMachine.addState(attractState);
         stateMachine.addState(gameState);
+        stateMachine.addState(serviceState);
+    }
+
+    /**
+     * Freeze a game under the service menu
+     * The balls and the game's timers stop where they are; switch timers keep
+     * running so the menu buttons still work.
+     */
+    suspendGame() {
+        this.suspendedTimers = scheduler.pauseAll(['switch.']);
+        physicsEngine.frozen = true;
+        console.log('Game suspended');
+    }
+
+    /**
+     * Pick a suspended game up where it stopped
+     */
+    resumeGame() {
+        physicsEngine.frozen = false;
+        this.suspendedTimers.forEach(name => scheduler.resume(name));
+        this.suspendedTimers = [];
+        console.log('Game resumed');
     }
 
     /**
@@ -305,28 +582,47 @@ class GameLogic {
             if (data.pressed) {
                 if (stateMachine.isInState('attract')) {
                     stateMachine.sendEvent('startGame');
+                } else if (!stateMachine.sendEvent('startPressed') && stateMachine.isInState('game')) {
+                    this.addPlayer();
                 }
             }
         });
 
         eventBus.on(Events.INPUT_FLIPPER_LEFT, (data) => {
-            if (data.pressed && this.skillShotActive) {
+            // In the service menu the buttons only work the menu
+            if (data.pressed && stateMachine.isInState('service')) {
+                stateMachine.sendEvent('flipperPressed', { isLeft: true });
+                return;
+            }
+            if (data.pressed && this.skillShotActive && !this.skillShotLocked) {
                 stateMachine.sendEvent('cycleSkillShot');
             }
+            magnaSave.handleFlipper(true, data.pressed);
+            this.handleFlipperButton(true, data.pressed);
+            if (data.pressed) {
+                stateMachine.sendEvent('flipperPressed', { isLeft: true });
+            }
         });
 
         eventBus.on(Events.INPUT_FLIPPER_RIGHT, (data) => {
-            if (data.pressed && this.skillShotActive) {
+            if (data.pressed && stateMachine.isInState('service')) {
+                stateMachine.sendEvent('flipperPressed', { isLeft: false });
+                return;
+            }
+            if (data.pressed && this.skillShotActive && !this.skillShotLocked) {
                 stateMachine.sendEvent('cycleSkillShot');
             }
+            magnaSave.handleFlipper(false, data.pressed);
+            this.handleFlipperButton(false, data.pressed);
+            if (data.pressed) {
+                stateMachine.sendEvent('flipperPressed', { isLeft: false });
+            }
         });
 
-        eventBus.on(Events.INPUT_LAUNCH, (data) => {
-            if (!data.pressed && stateMachine.isInState('ballLaunch')) {
-                // Ball launched
-                setTimeout(() => {
-                    stateMachine.sendEvent('ballLaunched');
-                }, 500);
+        // Ball leaving the shooter lane ends the launch
+        eventBus.on(Events.SWITCH_DEACTIVATED, (data) => {
+            if (data.switchId === Switches.SW_SHOOTER_LANE && stateMachine.isInState('ballLaunch')) {
+                stateMachine.sendEvent('ballLaunched');
             }
         });
 
@@ -334,30 +630,100 @@ class GameLogic {
         eventBus.on(Events.BALL_DRAINED, () => {
             stateMachine.sendEvent('ballDrained');
         });
+
+        // Score thresholds for extra ball and replay
+        eventBus.on(Events.SCORE_CHANGED, (data) => {
+            const player = this.players[data.player - 1];
+            if (player && stateMachine.isInState('game')) {
+                this.checkScoreAwards(player);
+            }
+        });
+
+        // Switching free play changes the credit display
+        eventBus.on(Events.SETTINGS_CHANGED, (data) => {
+            if (data.key === 'FREE_PLAY') {
+                credits.emitChanged();
+            }
+        });
+
+        // Completed modes count towards the bonus, and enough of them light an extra ball
+        eventBus.on(Events.MODE_END, (data) => {
+            const player = this.currentPlayer;
+            if (!data.completed || !player) return;
+
+            player.addBonus('modes');
+            if (player.modesCompleted.length === settings.get('EXTRA_BALL_MODES')) {
+                this.lightExtraBall(player);
+            }
+        });
+    }
+
+    /**
+     * Track the flipper buttons - pressing both sends 'bothFlippers' to the
+     * current state (e.g. to skip the bonus count)
+     * @param {boolean} isLeft
+     * @param {boolean} pressed
+     */
+    handleFlipperButton(isLeft, pressed) {
+        const wasBoth = this.flippersHeld.left && this.flippersHeld.right;
+        this.flippersHeld[isLeft ? 'left' : 'right'] = pressed;
+
+        if (!wasBoth && this.flippersHeld.left && this.flippersHeld.right) {
+            stateMachine.sendEvent('bothFlippers');
+        }
     }
 
     /**
      * Handle switch activation
      */
     handleSwitch(data) {
-        const { switchId, switchName } = data;
+        const { switchId } = data;
+
+        // Coins count in any state, service included
+        const coin = SwitchGroups.COINS.includes(switchId);
+        if (coin) {
+            credits.insertCoin(switchId);
+        }
+
+        // The service menu takes every switch (switch test, door buttons)
+        if (stateMachine.isInState('service')) {
+            stateMachine.sendEvent('switchHit', { switchId });
+            return;
+        }
+        if (coin) return;
 
-        renderer.updateDebugSwitch(switchName);
+        // Enter on the coin door opens the service menu, suspending any game
+        if (switchId === Switches.SW_SERVICE_ENTER) {
+            if (stateMachine.isInState('game')) {
+                stateMachine.suspend('service');
+            } else {
+                stateMachine.transition('service');
+            }
+            return;
+        }
 
         // Don't process during attract
         if (stateMachine.isInState('attract')) return;
 
+        // Tilt switches
+        if (switchId === Switches.SW_SLAM_TILT) {
+            this.slamTilt();
+            return;
+        }
+        if (switchId === Switches.SW_PLUMB_TILT) {
+            this.handlePlumbTilt();
+            return;
+        }
+
+        // A tilted ball scores nothing
+        if (this.tilted) return;
+
         // Score switches
         this.scoreSwitch(switchId);
 
         // Skill shot handling
-        if (this.skillShotActive) {
-            if (SwitchGroups.TOP_LANES.includes(switchId)) {
-                this.handleSkillShot(switchId);
-            } else if (SwitchGroups.BUMPERS.includes(switchId)) {
-                // Skill shot missed - hit bumper first
-                stateMachine.sendEvent('skillShotMissed');
-            }
+        if (this.skillShotActive && this.skillShotLocked) {
+            this.handleSkillShot(switchId);
         }
 
         // Target bank handling
@@ -373,6 +739,11 @@ class GameLogic {
             this.handleCenterDrop(switchId);
         }
 
+        // Top lanes
+        if (SwitchGroups.TOP_LANES.includes(switchId)) {
+            this.handleTopLane(switchId);
+        }
+
         // Scoop (mode start)
         if (switchId === Switches.SW_SCOOP) {
             this.handleScoop();
@@ -408,15 +779,27 @@ class GameLogic {
         }
 
         // Satellite
+        if (switchId === Switches.SW_LEFT_RAMP_ENTER) {
+            this.handleLeftRampEnter();
+        }
         if (switchId === Switches.SW_SATELLITE_SHOT) {
             this.handleSatelliteShot();
         }
-        if (switchId === Switches.SW_SATELLITE_LOCK) {
-            this.handleSatelliteLock();
+        if (switchId === Switches.SW_LEFT_LOCK || switchId === Switches.SW_SATELLITE_LOCK) {
+            this.handleBallLocked();
+        }
+
+        // Combos
+        const combos = comboManager.handleSwitch(switchId, this.currentPlayer);
+        if (combos.length > 0) {
+            this.currentPlayer.addBonus('combos', combos.length);
         }
 
-        // Combo tracking
-        this.trackCombo(switchId);
+        // Left outlane save
+        magnaSave.handleSwitch(switchId, this.currentPlayer);
+
+        // Running mode goals (hosted by the modeActive state)
+        stateMachine.sendEvent('switchHit', { switchId });
     }
 
     /**
@@ -426,27 +809,35 @@ class GameLogic {
         if (!this.currentPlayer) return;
 
         let points = 0;
+        let source = null;
 
         if (SwitchGroups.BUMPERS.includes(switchId)) {
             points = Scoring.BUMPER_HIT;
+            source = ScoreSources.BUMPER;
         } else if (SwitchGroups.LEFT_BANK.includes(switchId) ||
                    SwitchGroups.RIGHT_BANK.includes(switchId)) {
             points = Scoring.TARGET_HIT;
+            source = ScoreSources.TARGET;
         } else if (SwitchGroups.CENTER_TARGETS.includes(switchId)) {
             points = Scoring.TARGET_HIT;
+            source = ScoreSources.TARGET;
         } else if (SwitchGroups.TOP_LANES.includes(switchId)) {
             points = Scoring.TOP_LANE;
+            source = ScoreSources.LANE;
         } else if (SwitchGroups.INLANES.includes(switchId)) {
             points = Scoring.INLANE;
+            source = ScoreSources.INLANE;
         } else if (switchId === Switches.SW_SPINNER) {
             points = Scoring.SPINNER_SPIN;
+            source = ScoreSources.SPINNER;
         } else if (switchId === Switches.SW_LEFT_STANDUP ||
                    switchId === Switches.SW_CENTER_STANDUP) {
             points = Scoring.STANDUP_HIT;
+            source = ScoreSources.STANDUP;
         }
 
         if (points > 0) {
-            this.currentPlayer.addScore(points);
+            scoringPipeline.award(this.currentPlayer, points, source);
         }
     }
 
@@ -457,6 +848,9 @@ class GameLogic {
         // Create player
         this.players = [new Player(1)];
         this.currentPlayerIndex = 0;
+        this.tilted = false;
+        this.tiltWarnings = 0;
+        this.shootAgain = false;
 
         // Reset hardware
         lampMatrix.allOff();
@@ -464,12 +858,70 @@ class GameLogic {
 
         // Flash lamps
         lampMatrix.startShow('gameStart');
-        setTimeout(() => {
+        scheduler.schedule('lampShow', 1000, () => {
             lampMatrix.stopShow();
-        }, 1000);
+        });
+
+        eventBus.emit(Events.GAME_START, { players: this.players.length });
+    }
 
-        renderer.updateScore(0);
-        renderer.updateBallNumber(1);
+    /**
+     * Add a player to the game in progress
+     * Players can only join while ball 1 is being played.
+     * @returns {boolean} True if a player was added
+     */
+    addPlayer() {
+        if (this.players.length >= GameSettings.MAX_PLAYERS) return false;
+        if (!this.currentPlayer || this.currentPlayer.ballNumber !== 1) return false;
+        if (!credits.useCredit()) return false;
+
+        const player = new Player(this.players.length + 1);
+        this.players.push(player);
+
+        console.log(`Player ${player.number} added`);
+        eventBus.emit(Events.PLAYER_ADDED, { player: player.number, players: this.players.length });
+        return true;
+    }
+
+    /**
+     * Find the next player with balls left, in turn order after the current one
+     * @returns {number} Player index, or -1 if every player is out of balls
+     */
+    findNextPlayerIndex() {
+        for (let i = 1; i <= this.players.length; i++) {
+            const index = (this.currentPlayerIndex + i) % this.players.length;
+            if (this.players[index].ballsRemaining > 0) {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * State to end the game in: initials entry if anyone made the high score table
+     * @returns {string}
+     */
+    getHighScoreState() {
+        return highScores.getQualifiers(this.players).length > 0 ? 'game.highScoreEntry' : 'attract';
+    }
+
+    /**
+     * Cycle the attract mode display: title, Grand Champion, high score table
+     */
+    startAttractDisplay() {
+        const screens = ['title', 'grandChampion', 'highScores'];
+        let index = 0;
+
+        const show = () => {
+            eventBus.emit(Events.ATTRACT_DISPLAY, {
+                screen: screens[index],
+                highScores: highScores.getTable()
+            });
+            index = (index + 1) % screens.length;
+        };
+
+        show();
+        scheduler.every('attractDisplay', GameSettings.ATTRACT_SCREEN_TIME, show);
     }
 
     /**
@@ -478,54 +930,176 @@ class GameLogic {
     endGame() {
         this.ballInPlay = false;
         this.clearAllTimers();
+        credits.cancelMatch();
+        highScores.cancelEntry();
         lampMatrix.allOff();
         physicsEngine.reset();
+
+        eventBus.emit(Events.GAME_OVER, {
+            scores: this.players.map(p => ({ player: p.number, score: p.score }))
+        });
     }
 
     /**
      * Prepare ball for launch
      */
     prepareBallLaunch() {
-        // Create ball in shooter lane
-        physicsEngine.createBallInShooter();
+        // Tilt warnings carry over only within a ball
+        this.tilted = false;
+        this.tiltWarnings = 0;
+
+        // Feed a ball from the trough to the shooter lane
+        solenoidDriver.ejectFromTrough();
 
         // Update ball display
-        const ballNum = GameSettings.BALLS_PER_GAME - this.currentPlayer.ballsRemaining + 1;
-        renderer.updateBallNumber(ballNum);
+        eventBus.emit(Events.BALL_LAUNCH, {
+            player: this.currentPlayer.number,
+            ball: this.currentPlayer.ballNumber,
+            balls: this.currentPlayer.ballsPerGame,
+            shootAgain: this.shootAgain
+        });
+    }
+
+    /**
+     * Open skill shot selection for the ball in the shooter lane
+     */
+    startSkillShotSelection() {
+        this.skillShotActive = true;
+        this.skillShotLocked = false;
+        this.skillShotSelection = 0;
+        this.updateSkillShotLamps();
+        this.emitSkillShotSelection();
+    }
+
+    /**
+     * Emit the current skill shot selection for the display
+     */
+    emitSkillShotSelection() {
+        const shot = SkillShots[this.skillShotSelection];
+        eventBus.emit(Events.SKILL_SHOT_SELECTED, {
+            selection: shot.name,
+            title: shot.title,
+            locked: this.skillShotLocked
+        });
     }
 
     /**
      * Update skill shot lamps
+     * Flash the lamps of the selected skill shot's target
      */
     updateSkillShotLamps() {
-        // Flash selected skill shot indicator
-        const topLaneLamps = LampGroups.TOP_LANES;
-
-        topLaneLamps.forEach((lamp, i) => {
-            if (i === this.skillShotSelection % 3) {
-                lampMatrix.setLamp(lamp, LampState.BLINK_FAST);
-            } else {
-                lampMatrix.setLamp(lamp, LampState.ON);
-            }
+        SkillShots.forEach(shot => {
+            shot.lamps.forEach(lamp => lampMatrix.setLamp(lamp, LampState.OFF));
+        });
+        SkillShots[this.skillShotSelection].lamps.forEach(lamp => {
+            lampMatrix.setLamp(lamp, LampState.BLINK_FAST);
         });
     }
 
     /**
-     * Handle skill shot
+     * Handle a switch hit while the skill shot is live
+     * @param {number} switchId
      */
     handleSkillShot(switchId) {
-        const laneIndex = SwitchGroups.TOP_LANES.indexOf(switchId);
+        if (SKILL_SHOT_IGNORED.includes(switchId)) return;
 
-        if (laneIndex === this.skillShotSelection % 3) {
-            // Skill shot made!
-            const points = Scoring.SKILL_SHOT_BASE * (laneIndex + 1);
-            this.currentPlayer.addScore(points);
-            console.log('SKILL SHOT! +' + points);
-            lampMatrix.startShow('jackpot');
-            setTimeout(() => lampMatrix.stopShow(), 1500);
+        const shot = SkillShots[this.skillShotSelection];
+
+        if (shot.targets === null || shot.targets.includes(switchId)) {
+            this.awardSkillShot(shot, switchId);
+            stateMachine.sendEvent('skillShotComplete');
+        } else if (!shot.passes.includes(switchId)) {
+            stateMachine.sendEvent('skillShotMissed');
         }
+    }
+
+    /**
+     * Award a made skill shot
+     * @param {Object} shot - Entry from SkillShots
+     * @param {number} switchId - Switch that made it
+     */
+    awardSkillShot(shot, switchId) {
+        const player = this.currentPlayer;
+        let points = 0;
+
+        // Close selection first so award lamps (e.g. Super Pops) aren't cleared
+        this.endSkillShot(true);
+
+        switch (shot.name) {
+            case 'POINTS':
+                points = Scoring.SKILL_SHOT_LANES[SwitchGroups.TOP_LANES.indexOf(switchId)];
+                break;
+            case 'POPS':
+                points = Scoring.SKILL_SHOT_POPS;
+                this.startSuperPops();
+                break;
+            case 'MODE_LITE':
+                // The scoop hit goes on to handleScoop once normal play
+                // starts, which spends the lit scoop on the next mode
+                player.scoopLit = true;
+                break;
+            case '2X_SCORING':
+                this.startPlayfieldMultiplier(2, GameSettings.PLAYFIELD_2X_TIME);
+                break;
+        }
+
+        if (points > 0) {
+            scoringPipeline.award(player, points, ScoreSources.SKILL_SHOT);
+        }
+
+        console.log(`SKILL SHOT! ${shot.title}` + (points > 0 ? ` +${points}` : ''));
+        lampMatrix.startShow('jackpot');
+        scheduler.schedule('lampShow', 1500, () => {
+            lampMatrix.stopShow();
+            this.updatePlayfieldLamps();
+        });
+    }
+
+    /**
+     * Close the skill shot (made, missed or ball ended)
+     * @param {boolean} made
+     */
+    endSkillShot(made) {
+        if (!this.skillShotActive) return;
+
+        const shot = SkillShots[this.skillShotSelection];
+        this.skillShotActive = false;
+        this.skillShotLocked = false;
 
-        stateMachine.sendEvent('skillShotComplete');
+        shot.lamps.forEach(lamp => lampMatrix.setLamp(lamp, LampState.OFF));
+        this.updatePlayfieldLamps();
+
+        eventBus.emit(Events.SKILL_SHOT_ENDED, {
+            selection: shot.name,
+            title: shot.title,
+            made
+        });
+    }
+
+    /**
+     * Start Super Pops (bumpers score SUPER_BUMPER_HIT)
+     */
+    startSuperPops() {
+        scoringPipeline.addModifier('superPops', {
+            multiplier: Scoring.SUPER_BUMPER_HIT / Scoring.BUMPER_HIT,
+            sources: [ScoreSources.BUMPER],
+            duration: GameSettings.SUPER_POPS_TIME,
+            onExpire: () => lampMatrix.setGroup('BUMPERS', LampState.OFF)
+        });
+        lampMatrix.setGroup('BUMPERS', LampState.BLINK_FAST);
+    }
+
+    /**
+     * Multiply all playfield scoring (everything but bonus) for a time
+     * @param {number} multiplier
+     * @param {number} duration - ms
+     */
+    startPlayfieldMultiplier(multiplier, duration) {
+        scoringPipeline.addModifier('playfield', {
+            multiplier,
+            exclude: [ScoreSources.BONUS],
+            duration
+        });
     }
 
     /**
@@ -535,10 +1109,10 @@ class GameLogic {
         this.ballSaveActive = true;
         lampMatrix.setLamp(Lamps.L_BALL_SAVE, LampState.ON);
 
-        this.ballSaveTimer = setTimeout(() => {
+        scheduler.schedule('ballSave', settings.get('BALL_SAVE_TIME'), () => {
             this.ballSaveActive = false;
             lampMatrix.setLamp(Lamps.L_BALL_SAVE, LampState.OFF);
-        }, GameSettings.BALL_SAVE_TIME);
+        });
     }
 
     /**
@@ -546,44 +1120,114 @@ class GameLogic {
      */
     saveBall() {
         console.log('Ball Saved!');
+        eventBus.emit(Events.BALL_SAVED, { player: this.currentPlayer.number });
         lampMatrix.setLamp(Lamps.L_SHOOT_AGAIN, LampState.BLINK_FAST);
 
-        setTimeout(() => {
+        scheduler.schedule('ballSaveRelaunch', 1000, () => {
             lampMatrix.setLamp(Lamps.L_SHOOT_AGAIN, LampState.OFF);
-            physicsEngine.createBallInShooter();
+            solenoidDriver.ejectFromTrough();
             solenoidDriver.autoLaunch(0.8);
-        }, 1000);
+        });
+    }
+
+    /**
+     * Watch for a stuck ball (restarts the quiet period if already watching)
+     */
+    startBallSearch() {
+        ballSearch.start({
+            isHeld: (coilId) => this.isHoldingLockedBalls(coilId),
+            onBallLost: () => this.handleBallLost()
+        });
+    }
+
+    /**
+     * Check if a coil would kick out balls locked on purpose
+     * (ball search leaves those alone, whichever player locked them)
+     * @param {number} coilId
+     * @returns {boolean}
+     */
+    isHoldingLockedBalls(coilId) {
+        if (!this.currentPlayer || this.multiballActive) return false;
+
+        if (coilId === Coils.C_SATELLITE_MOTOR) return this.countLockedBalls(SATELLITE_LOCKS) > 0;
+        if (coilId === Coils.C_TANK_TRAP_RELEASE) return this.countLockedBalls(TANK_LOCKS) > 0;
+        return false;
+    }
+
+    /**
+     * Count the balls sitting in a set of lock captors
+     * @param {string[]} captors - Zone names
+     * @returns {number}
+     */
+    countLockedBalls(captors) {
+        return captors.reduce((count, zone) => count + physicsEngine.getCapturedBalls(zone).length, 0);
     }
 
     /**
-     * End current ball
+     * Ball search gave up on a stuck ball - serve a replacement
+     * A tilted ball isn't replaced, and neither is one the trough can't cover;
+     * those count as drained.
+     */
+    handleBallLost() {
+        if (this.tilted || switchMatrix.getTroughCount() === 0) {
+            stateMachine.sendEvent('ballDrained');
+            return;
+        }
+
+        solenoidDriver.ejectFromTrough();
+        solenoidDriver.autoLaunch(0.9);
+    }
+
+    /**
+     * End current ball - count up the bonus (forfeited on a tilt)
+     * The ballEnd state calls finishBall once the count is done.
      */
     endBall() {
         this.ballInPlay = false;
         this.clearAllTimers();
 
-        // Count down bonus
-        const bonus = this.currentPlayer.bonus * this.currentPlayer.bonusMultiplier;
-        this.currentPlayer.addScore(bonus);
-        this.currentPlayer.bonus = 0;
+        if (this.tilted) {
+            this.finishBall();
+            return;
+        }
 
-        // Check for more balls
-        this.currentPlayer.ballsRemaining--;
+        bonusCountdown.start(this.currentPlayer, () => {
+            stateMachine.sendEvent('bonusComplete');
+        });
+    }
 
-        if (this.currentPlayer.ballsRemaining > 0 || this.currentPlayer.extraBalls > 0) {
-            if (this.currentPlayer.extraBalls > 0) {
-                this.currentPlayer.extraBalls--;
-                lampMatrix.setLamp(Lamps.L_SHOOT_AGAIN, LampState.BLINK_SLOW);
-            }
+    /**
+     * Serve the next ball after the bonus
+     */
+    finishBall() {
+        this.currentPlayer.bonusCounts = {};
+
+        // Extra ball - same player shoots the same ball again
+        this.shootAgain = this.currentPlayer.extraBalls > 0;
+        if (this.shootAgain) {
+            this.currentPlayer.extraBalls--;
+            lampMatrix.setLamp(Lamps.L_SHOOT_AGAIN, LampState.BLINK_SLOW);
 
-            setTimeout(() => {
+            scheduler.schedule('ballEnd', 1500, () => {
                 lampMatrix.setLamp(Lamps.L_SHOOT_AGAIN, LampState.OFF);
                 stateMachine.sendEvent('nextBall');
-            }, 2000);
+            });
+            return;
+        }
+
+        // Check for more balls, rotating to the next player
+        this.currentPlayer.ballsRemaining--;
+        const nextIndex = this.findNextPlayerIndex();
+
+        if (nextIndex !== -1) {
+            scheduler.schedule('ballEnd', 1000, () => {
+                this.currentPlayerIndex = nextIndex;
+                stateMachine.sendEvent('nextBall');
+            });
         } else {
-            setTimeout(() => {
+            scheduler.schedule('ballEnd', 2000, () => {
                 stateMachine.sendEvent('gameOver');
-            }, 3000);
+            });
         }
     }
 
@@ -614,14 +1258,59 @@ class GameLogic {
             lampMatrix.setLamp(lamp, i < player.bonusMultiplier ? LampState.ON : LampState.OFF);
         });
 
-        // Scoop lit if modes available
-        const scoopLit = player.modesCompleted.length < 4;
-        lampMatrix.setLamp(Lamps.L_SCOOP, scoopLit ? LampState.BLINK_SLOW : LampState.OFF);
+        // Top lanes still to make
+        player.topLanesLit.forEach((lit, i) => {
+            lampMatrix.setLamp(LampGroups.TOP_LANES[i], lit ? LampState.ON : LampState.OFF);
+        });
+
+        // Scoop lit for a mode start
+        lampMatrix.setLamp(Lamps.L_SCOOP, player.scoopLit ? LampState.BLINK_SLOW : LampState.OFF);
+
+        // Completed modes
+        LampGroups.MODES.forEach(lamp => {
+            const mode = LampNames[lamp].replace('L_MODE_', '').toLowerCase();
+            lampMatrix.setLamp(lamp, player.modesCompleted.includes(mode) ? LampState.ON : LampState.OFF);
+        });
 
-        // Lock lamps
-        if (player.leftBankHits.every(h => h)) {
-            lampMatrix.setLamp(Lamps.L_LEFT_LOCK, LampState.BLINK_FAST);
+        // Super Pops
+        lampMatrix.setGroup('BUMPERS',
+            scoringPipeline.hasModifier('superPops') ? LampState.BLINK_FAST : LampState.OFF);
+
+        // Satellite multiball lamps
+        lampMatrix.setLamp(Lamps.L_LEFT_LOCK, player.lockLit ? LampState.BLINK_FAST : LampState.OFF);
+        if (player.lockLit || player.satelliteLit) {
+            lampMatrix.setLamp(Lamps.L_LEFT_RAMP_ARROW, LampState.BLINK_FAST);
+        } else if (!modeManager.isActive()) {
+            lampMatrix.setLamp(Lamps.L_LEFT_RAMP_ARROW, LampState.OFF);
+        }
+        lampMatrix.setLamp(Lamps.L_SATELLITE_ENABLED,
+            player.satelliteLocks >= 2 ? LampState.BLINK_FAST
+                : player.satelliteLocks > 0 ? LampState.ON : LampState.OFF);
+        lampMatrix.setLamp(Lamps.L_SATELLITE,
+            player.satelliteRaised ? LampState.BLINK_SUPERFAST
+                : player.satelliteLit ? LampState.ON : LampState.OFF);
+        lampMatrix.setLamp(Lamps.L_MULTIBALL_LIT, player.satelliteRaised ? LampState.ON : LampState.OFF);
+        lampMatrix.setLamp(Lamps.L_SUPER_JACKPOT, this.superJackpotLit ? LampState.BLINK_FAST : LampState.OFF);
+
+        // Tank multiball lamps
+        const tankMultiball = this.multiballActive && this.multiballType === 'tank';
+        lampMatrix.setLamp(Lamps.L_RIGHT_LOCK, player.tankLocks > 0 ? LampState.BLINK_FAST : LampState.OFF);
+        if (player.tankRampLit) {
+            lampMatrix.setLamp(Lamps.L_RIGHT_RAMP_ARROW, LampState.BLINK_SUPERFAST);
+        } else if (!modeManager.isActive()) {
+            lampMatrix.setLamp(Lamps.L_RIGHT_RAMP_ARROW, LampState.OFF);
         }
+        if (tankMultiball) {
+            lampMatrix.setLamp(Lamps.L_TANK_ENTRANCE, LampState.BLINK_FAST);
+        } else if (!modeManager.isActive()) {
+            lampMatrix.setLamp(Lamps.L_TANK_ENTRANCE, LampState.OFF);
+        }
+
+        magnaSave.updateLamp(player);
+
+        // Extra ball
+        lampMatrix.setLamp(Lamps.L_EXTRA_BALL, player.extraBallsLit > 0 ? LampState.BLINK_FAST : LampState.OFF);
+        lampMatrix.setLamp(Lamps.L_SHOOT_AGAIN, player.extraBalls > 0 ? LampState.ON : LampState.OFF);
 
         // GI on
         lampMatrix.setGroup('GI', LampState.ON);
@@ -634,7 +1323,7 @@ class GameLogic {
         const index = SwitchGroups.LEFT_BANK.indexOf(switchId);
         if (index >= 0 && this.currentPlayer) {
             this.currentPlayer.leftBankHits[index] = true;
-            this.currentPlayer.bonus += Scoring.BONUS_PER_TARGET;
+            this.currentPlayer.addBonus('targets');
 
             // Check completion
             if (this.currentPlayer.leftBankHits.every(h => h)) {
@@ -642,10 +1331,11 @@ class GameLogic {
                 this.currentPlayer.leftBankHits = [false, false, false, false, false];
                 this.currentPlayer.bonusMultiplier = Math.min(5, this.currentPlayer.bonusMultiplier + 1);
 
-                // Light lock if not in multiball
-                if (!this.multiballActive) {
-                    lampMatrix.setLamp(Lamps.L_LEFT_LOCK, LampState.BLINK_FAST);
+                // Relight the lock until both balls are locked
+                if (!this.multiballActive && this.currentPlayer.satelliteLocks < 2) {
+                    this.currentPlayer.lockLit = true;
                 }
+                this.checkSuperJackpot();
             }
 
             this.updatePlayfieldLamps();
@@ -659,13 +1349,15 @@ class GameLogic {
         const index = SwitchGroups.RIGHT_BANK.indexOf(switchId);
         if (index >= 0 && this.currentPlayer) {
             this.currentPlayer.rightBankHits[index] = true;
-            this.currentPlayer.bonus += Scoring.BONUS_PER_TARGET;
+            this.currentPlayer.addBonus('targets');
 
             // Check completion
             if (this.currentPlayer.rightBankHits.every(h => h)) {
                 console.log('Right bank complete!');
                 this.currentPlayer.rightBankHits = [false, false, false, false, false];
                 this.currentPlayer.bonusMultiplier = Math.min(5, this.currentPlayer.bonusMultiplier + 1);
+                magnaSave.addCharge(this.currentPlayer);
+                this.checkSuperJackpot();
             }
 
             this.updatePlayfieldLamps();
@@ -680,16 +1372,28 @@ class GameLogic {
         if (index >= 0 && this.currentPlayer) {
             this.currentPlayer.centerDropsDown[index] = true;
 
+            // Any center target lights the right ramp once both tank balls are locked
+            if (!this.multiballActive && this.currentPlayer.tankLocks >= 2) {
+                this.currentPlayer.tankRampLit = true;
+            }
+
             // Check completion
             if (this.currentPlayer.centerDropsDown.every(d => d)) {
                 console.log('Center drops complete!');
-                this.currentPlayer.addScore(Scoring.MODE_COMPLETION);
+                scoringPipeline.award(this.currentPlayer, Scoring.MODE_COMPLETION, ScoreSources.TARGET);
                 this.currentPlayer.centerDropsDown = [false, false, false];
 
+                // With both balls locked, the left ramp can now raise the satellite
+                const player = this.currentPlayer;
+                if (!this.multiballActive && player.satelliteLocks >= 2 && !player.satelliteRaised) {
+                    player.satelliteLit = true;
+                }
+                this.checkSuperJackpot();
+
                 // Reset drops after delay
-                setTimeout(() => {
+                scheduler.schedule('centerDropReset', 1000, () => {
                     solenoidDriver.resetCenterDrops();
-                }, 1000);
+                });
             }
 
             this.updatePlayfieldLamps();
@@ -700,22 +1404,49 @@ class GameLogic {
      * Handle scoop shot
      */
     handleScoop() {
-        if (!stateMachine.isInState('normalPlay')) return;
+        if (this.currentPlayer.extraBallsLit > 0) {
+            this.collectExtraBall(this.currentPlayer);
+        }
 
-        const player = this.currentPlayer;
-        const availableModes = ['runway', 'facility', 'train', 'tank']
-            .filter(m => !player.modesCompleted.includes(m));
+        if (!stateMachine.isInState('normalPlay') || !this.currentPlayer.scoopLit) {
+            // Scoop not lit for a mode start - kick the ball back out
+            scheduler.schedule('scoopEject', 1000, () => {
+                solenoidDriver.ejectFromScoop();
+            });
+            return;
+        }
+
+        this.currentPlayer.scoopLit = false;
+        this.updatePlayfieldLamps();
 
-        if (availableModes.length > 0) {
-            const mode = availableModes[0];
+        const mode = modeManager.getNextMode(this.currentPlayer);
+
+        if (mode) {
             stateMachine.sendEvent('startMode', { mode });
         } else {
             // All modes complete - wizard mode!
-            this.currentPlayer.addScore(Scoring.JACKPOT_BASE);
+            scoringPipeline.award(this.currentPlayer, Scoring.JACKPOT_BASE, ScoreSources.JACKPOT);
             solenoidDriver.ejectFromScoop();
         }
     }
 
+    /**
+     * Handle top lane
+     * Making all three lanes lights the scoop and relights the lanes.
+     */
+    handleTopLane(switchId) {
+        const player = this.currentPlayer;
+        player.topLanesLit[SwitchGroups.TOP_LANES.indexOf(switchId)] = false;
+
+        if (player.topLanesLit.every(lit => !lit)) {
+            console.log('Top lanes complete - scoop lit');
+            player.topLanesLit = [true, true, true];
+            player.scoopLit = true;
+        }
+
+        this.updatePlayfieldLamps();
+    }
+
     /**
      * Handle bumper hit
      */
@@ -744,67 +1475,168 @@ class GameLogic {
      * Handle left ramp complete
      */
     handleLeftRamp() {
-        this.currentPlayer.addScore(Scoring.RAMP_SHOT);
-        this.currentPlayer.bonus += Scoring.BONUS_PER_RAMP;
+        scoringPipeline.award(this.currentPlayer, Scoring.RAMP_SHOT, ScoreSources.RAMP);
+        this.currentPlayer.addBonus('ramps');
+
+        if (this.multiballActive) return;
+
+        // A lit lock is counted when the ball lands in it (handleBallLocked),
+        // or here if both locks already hold balls and the ball stays in play
+        const player = this.currentPlayer;
+        if (player.lockLit && this.countLockedBalls(SATELLITE_LOCKS) >= SATELLITE_LOCKS.length) {
+            this.addSatelliteLock();
+        } else if (player.satelliteLit) {
+            player.satelliteLit = false;
+            player.satelliteRaised = true;
+            solenoidDriver.raiseSatelliteRamp();
+            console.log('Satellite raised - shoot the satellite for multiball');
+            this.updatePlayfieldLamps();
+        }
+    }
 
-        // Check for lock
-        if (lampMatrix.isOn(Lamps.L_LEFT_LOCK) && !this.multiballActive) {
-            this.handleSatelliteLock();
+    /**
+     * Handle left ramp entrance - open the diverter when the lock is lit
+     */
+    handleLeftRampEnter() {
+        if (this.currentPlayer.lockLit && !this.multiballActive &&
+            this.countLockedBalls(SATELLITE_LOCKS) < SATELLITE_LOCKS.length) {
+            solenoidDriver.divertLeftRamp();
         }
+    }
+
+    /**
+     * Handle a ball settling in the left or satellite lock
+     * Counts the lock towards satellite multiball. The locked ball stays put,
+     * so serve a new one to the shooter lane.
+     */
+    handleBallLocked() {
+        solenoidDriver.stop(Coils.C_LEFT_RAMP_DIVERTER);
+
+        if (this.multiballActive) return;
+
+        this.addSatelliteLock();
+        this.serveLockedBall();
+    }
+
+    /**
+     * Count a satellite lock for the current player
+     */
+    addSatelliteLock() {
+        const player = this.currentPlayer;
+        player.lockLit = false;
+        player.satelliteLocks++;
+        console.log(`Satellite lock ${player.satelliteLocks}`);
+        this.updatePlayfieldLamps();
+    }
 
-        this.lastShot = 'leftRamp';
+    /**
+     * Serve a new ball to replace one held in a lock
+     */
+    serveLockedBall() {
+        scheduler.schedule('lockServe', 1000, () => {
+            solenoidDriver.ejectFromTrough();
+            solenoidDriver.autoLaunch(0.9);
+        });
     }
 
     /**
      * Handle right ramp complete
      */
     handleRightRamp() {
-        this.currentPlayer.addScore(Scoring.RAMP_SHOT);
-        this.currentPlayer.bonus += Scoring.BONUS_PER_RAMP;
+        scoringPipeline.award(this.currentPlayer, Scoring.RAMP_SHOT, ScoreSources.RAMP);
+        this.currentPlayer.addBonus('ramps');
 
         // Check for tank multiball start
-        if (this.currentPlayer.tankLocks >= 2 && !this.multiballActive) {
+        if (this.currentPlayer.tankRampLit && !this.multiballActive) {
             stateMachine.sendEvent('startMultiball', { type: 'tank' });
         }
-
-        this.lastShot = 'rightRamp';
     }
 
     /**
      * Handle center ramp complete
      */
     handleCenterRamp() {
-        this.currentPlayer.addScore(Scoring.RAMP_SHOT);
-        this.lastShot = 'centerRamp';
-
-        // Combo check
-        this.checkCombo('centerRamp');
+        scoringPipeline.award(this.currentPlayer, Scoring.RAMP_SHOT, ScoreSources.RAMP);
     }
 
     /**
      * Handle tank entrance
      */
     handleTankEntrance() {
-        if (!this.multiballActive && this.currentPlayer.tankLocks < 2) {
+        const tankMultiball = this.multiballActive && this.multiballType === 'tank';
+
+        if (tankMultiball) {
+            this.awardTankJackpot();
+        }
+
+        const lockLit = !this.multiballActive && this.currentPlayer.tankLocks < 2;
+        if (lockLit && this.countLockedBalls(TANK_LOCKS) >= TANK_LOCKS.length) {
+            // Both locks already hold balls - the shot counts and the ball stays in play
+            this.addTankLock();
+            return;
+        }
+
+        // Open the trap door so the ball can drop into the tank locks
+        if (tankMultiball || lockLit) {
             solenoidDriver.setTankTrapDoor(true);
-            setTimeout(() => {
+            scheduler.schedule('tankTrapDoor', GameSettings.TANK_TRAP_DOOR_TIME, () => {
                 solenoidDriver.setTankTrapDoor(false);
-            }, 2000);
+            });
         }
     }
 
     /**
-     * Handle tank lock
+     * Handle a ball dropping into a tank lock
      */
     handleTankLock(switchId) {
-        if (this.multiballActive) return;
+        scheduler.cancel('tankTrapDoor');
+        solenoidDriver.setTankTrapDoor(false);
 
+        // During multiball (or with both locks already earned) the ball is kicked straight back out
+        if (this.multiballActive || this.currentPlayer.tankLocks >= 2) {
+            scheduler.schedule('tankRelease', 1000, () => solenoidDriver.releaseTankLocks());
+            return;
+        }
+
+        this.addTankLock();
+        this.serveLockedBall();
+    }
+
+    /**
+     * Count a tank lock for the current player
+     */
+    addTankLock() {
         this.currentPlayer.tankLocks++;
-        lampMatrix.setLamp(Lamps.L_RIGHT_LOCK, LampState.BLINK_FAST);
+        console.log(`Tank lock ${this.currentPlayer.tankLocks}`);
+        this.updatePlayfieldLamps();
+    }
 
-        if (this.currentPlayer.tankLocks >= 2) {
-            lampMatrix.setLamp(Lamps.L_RIGHT_RAMP_ARROW, LampState.BLINK_SUPERFAST);
+    /**
+     * Award the Tank Jackpot, doubled when both locks were made before this entrance shot
+     */
+    awardTankJackpot() {
+        const double = switchMatrix.checkSequence(
+            [Switches.SW_TANK_LOCK_1, Switches.SW_TANK_LOCK_2, Switches.SW_TANK_ENTRANCE],
+            GameSettings.DOUBLE_JACKPOT_WINDOW,
+            this.doubleJackpotAt
+        );
+
+        if (double) {
+            this.doubleJackpotAt = scheduler.now();
         }
+
+        const points = scoringPipeline.award(this.currentPlayer, Scoring.TANK_JACKPOT, ScoreSources.JACKPOT, {
+            multiplier: double ? 2 : 1
+        });
+        console.log(`${double ? 'Double ' : ''}Tank Jackpot! +${points}`);
+
+        eventBus.emit(Events.MULTIBALL_JACKPOT, { type: 'tank', doubleJackpot: double, points });
+
+        lampMatrix.startShow('jackpot');
+        scheduler.schedule('lampShow', 1500, () => {
+            lampMatrix.stopShow();
+            this.updatePlayfieldLamps();
+        });
     }
 
     /**
@@ -812,63 +1644,180 @@ class GameLogic {
      */
     handleSatelliteShot() {
         if (this.multiballActive && this.multiballType === 'satellite') {
-            // Jackpot!
-            this.currentPlayer.addScore(this.multiballJackpot);
-            this.multiballJackpot += 250000;
+            const superJackpot = this.superJackpotLit;
+            let points;
+            if (superJackpot) {
+                this.superJackpotLit = false;
+                points = scoringPipeline.award(this.currentPlayer, Scoring.SUPER_JACKPOT, ScoreSources.JACKPOT);
+                console.log(`Super Jackpot! +${points}`);
+            } else {
+                points = scoringPipeline.award(this.currentPlayer, this.multiballJackpot, ScoreSources.JACKPOT);
+                this.multiballJackpot += 250000;
+            }
+
+            eventBus.emit(Events.MULTIBALL_JACKPOT, { type: 'satellite', superJackpot, points });
+
             lampMatrix.startShow('jackpot');
-            setTimeout(() => lampMatrix.stopShow(), 1500);
-        } else if (this.currentPlayer.satelliteLocks >= 2) {
+            scheduler.schedule('lampShow', 1500, () => {
+                lampMatrix.stopShow();
+                this.updatePlayfieldLamps();
+            });
+        } else if (this.currentPlayer.satelliteRaised) {
             // Start satellite multiball
             stateMachine.sendEvent('startMultiball', { type: 'satellite' });
         }
     }
 
     /**
-     * Handle satellite lock
+     * Light the Super Jackpot when a target bank is completed during satellite multiball
      */
-    handleSatelliteLock() {
-        if (this.multiballActive) return;
+    checkSuperJackpot() {
+        if (this.multiballActive && this.multiballType === 'satellite' && !this.superJackpotLit) {
+            this.superJackpotLit = true;
+            console.log('Super Jackpot lit at the satellite');
+        }
+    }
 
-        this.currentPlayer.satelliteLocks++;
-        lampMatrix.setLamp(Lamps.L_SATELLITE_ENABLED,
-            this.currentPlayer.satelliteLocks >= 2 ? LampState.BLINK_FAST : LampState.ON);
+    /**
+     * Light extra ball and award a replay when a player passes the score thresholds
+     * Thresholds are read from GameSettings on every check, so they can be changed at runtime.
+     * @param {Player} player
+     */
+    checkScoreAwards(player) {
+        const extraBallScore = settings.get('EXTRA_BALL_SCORE');
+        if (extraBallScore > 0 && !player.extraBallScoreAwarded && player.score >= extraBallScore) {
+            player.extraBallScoreAwarded = true;
+            this.lightExtraBall(player);
+        }
+
+        const replayScore = settings.get('REPLAY_SCORE');
+        if (replayScore > 0 && !player.replayAwarded && player.score >= replayScore) {
+            player.replayAwarded = true;
+            this.awardReplay(player);
+        }
+    }
 
-        if (this.currentPlayer.satelliteLocks >= 2) {
-            lampMatrix.setLamp(Lamps.L_SATELLITE, LampState.BLINK_SUPERFAST);
+    /**
+     * Light an extra ball, collected at the scoop
+     * @param {Player} player
+     */
+    lightExtraBall(player) {
+        player.extraBallsLit++;
+        console.log(`Extra ball lit for player ${player.number}`);
+
+        if (player === this.currentPlayer) {
+            lampMatrix.setLamp(Lamps.L_EXTRA_BALL, LampState.BLINK_FAST);
         }
     }
 
+    /**
+     * Collect a lit extra ball - the player shoots again after this ball
+     * @param {Player} player
+     */
+    collectExtraBall(player) {
+        player.extraBallsLit--;
+        player.extraBalls++;
+        console.log(`Extra ball! Player ${player.number}`);
+
+        eventBus.emit(Events.EXTRA_BALL, {
+            player: player.number,
+            extraBalls: player.extraBalls
+        });
+
+        lampMatrix.setLamp(Lamps.L_EXTRA_BALL, player.extraBallsLit > 0 ? LampState.BLINK_FAST : LampState.OFF);
+        lampMatrix.setLamp(Lamps.L_SHOOT_AGAIN, LampState.ON);
+    }
+
+    /**
+     * Award a replay - knock and add a credit
+     * @param {Player} player
+     */
+    awardReplay(player) {
+        credits.addCredits(1, 'replay');
+        solenoidDriver.fireKnocker();
+        console.log(`Replay! Player ${player.number}, ${credits.credits} credit(s)`);
+
+        eventBus.emit(Events.REPLAY, {
+            player: player.number,
+            credits: credits.credits
+        });
+    }
+
+    /**
+     * Handle the plumb bob touching the tilt ring
+     * Each contact is a warning; one more after the last warning tilts the ball.
+     */
+    handlePlumbTilt() {
+        if (this.tilted || stateMachine.isInState('ballEnd')) return;
+
+        // Still swinging from the last warning
+        if (scheduler.isActive('tiltSettle')) return;
+
+        const maxWarnings = settings.get('TILT_WARNINGS');
+        if (this.tiltWarnings >= maxWarnings) {
+            this.tilt();
+            return;
+        }
+
+        this.tiltWarnings++;
+        console.log(`Tilt warning ${this.tiltWarnings}`);
+        eventBus.emit(Events.TILT_WARNING, {
+            warnings: this.tiltWarnings,
+            remaining: maxWarnings - this.tiltWarnings
+        });
+
+        // Flash GI while the bob settles
+        lampMatrix.setGroup('GI', LampState.BLINK_FAST);
+        scheduler.schedule('tiltSettle', GameSettings.TILT_SETTLE_TIME, () => {
+            if (!this.tilted) lampMatrix.setGroup('GI', LampState.ON);
+        });
+    }
+
+    /**
+     * Tilt the current ball - flippers and coils die and the bonus is lost
+     */
+    tilt() {
+        this.tilted = true;
+        scheduler.cancel('tiltSettle');
+
+        eventBus.emit(Events.TILT, { player: this.currentPlayer.number });
+        stateMachine.transition('game.tilted');
+    }
+
+    /**
+     * Slam tilt - the game ends for every player
+     */
+    slamTilt() {
+        if (!stateMachine.isInState('game')) return;
+
+        console.log('SLAM TILT');
+        this.tilted = true;
+        eventBus.emit(Events.SLAM_TILT, {});
+        stateMachine.transition('attract');
+    }
+
     /**
      * Start a mode
      */
     startMode(mode) {
+        if (!modeManager.start(mode, this.currentPlayer)) return;
+
         this.currentPlayer.currentMode = mode;
-        lampMatrix.setLamp(Lamps[`L_MODE_${mode.toUpperCase()}`], LampState.BLINK_FAST);
 
         // Eject ball from scoop
-        setTimeout(() => {
+        scheduler.schedule('scoopEject', 1500, () => {
             solenoidDriver.ejectFromScoop();
-        }, 1500);
-
-        // Mode timer
-        this.modeTimer = setTimeout(() => {
-            stateMachine.sendEvent('modeTimeout');
-        }, GameSettings.MODE_TIME_DEFAULT);
+        });
     }
 
     /**
      * End current mode
+     * The mode counts as completed only if its goals were made (see ModeManager)
      */
     endMode() {
-        if (this.modeTimer) {
-            clearTimeout(this.modeTimer);
-            this.modeTimer = null;
-        }
+        modeManager.stop();
 
-        const mode = this.currentPlayer.currentMode;
-        if (mode) {
-            this.currentPlayer.modesCompleted.push(mode);
-            lampMatrix.setLamp(Lamps[`L_MODE_${mode.toUpperCase()}`], LampState.ON);
+        if (this.currentPlayer) {
             this.currentPlayer.currentMode = null;
         }
 
@@ -882,85 +1831,124 @@ class GameLogic {
         this.multiballActive = true;
         this.multiballType = type;
         this.multiballJackpot = Scoring.JACKPOT_BASE;
+        this.superJackpotLit = false;
 
         lampMatrix.startShow('multiball');
 
-        // Launch extra balls
         const ballCount = type === 'satellite' ? 5 : 3;
-        for (let i = 0; i < ballCount - 1; i++) {
-            setTimeout(() => {
-                physicsEngine.createBallInShooter();
+        const inPlay = physicsEngine.getActiveBalls().length;
+        let released = 0;
+
+        if (type === 'satellite') {
+            const player = this.currentPlayer;
+            player.satelliteLocks = 0;
+            player.lockLit = false;
+            player.satelliteLit = false;
+            player.satelliteRaised = false;
+
+            // Kick the locked balls back into play
+            released = this.countLockedBalls(SATELLITE_LOCKS);
+            solenoidDriver.releaseSatelliteLocks();
+        } else if (type === 'tank') {
+            const player = this.currentPlayer;
+            player.tankLocks = 0;
+            player.tankRampLit = false;
+            this.doubleJackpotAt = scheduler.now();
+
+            released = this.countLockedBalls(TANK_LOCKS);
+            solenoidDriver.releaseTankLocks();
+        }
+
+        // Launch the remaining balls, one per second
+        const feed = Math.max(0, ballCount - inPlay - released);
+        if (feed > 0) {
+            scheduler.every('multiballFeed', 1000, () => {
+                solenoidDriver.ejectFromTrough();
                 solenoidDriver.autoLaunch(0.9);
-            }, 1000 * (i + 1));
+            }, feed);
         }
 
+        eventBus.emit(Events.MULTIBALL_START, { type, balls: ballCount });
+
         // Extended ball save
         this.ballSaveActive = true;
-        if (this.ballSaveTimer) clearTimeout(this.ballSaveTimer);
-        this.ballSaveTimer = setTimeout(() => {
+        scheduler.schedule('ballSave', GameSettings.MULTIBALL_BALL_SAVE, () => {
             this.ballSaveActive = false;
-        }, GameSettings.MULTIBALL_BALL_SAVE);
+        });
     }
 
     /**
      * End multiball
      */
     endMultiball() {
+        const type = this.multiballType;
         this.multiballActive = false;
         this.multiballType = null;
+        this.superJackpotLit = false;
         lampMatrix.stopShow();
+        eventBus.emit(Events.MULTIBALL_END, { type });
         this.updatePlayfieldLamps();
     }
 
     /**
-     * Track combo shots
+     * Clear all timers
      */
-    trackCombo(switchId) {
-        if (this.comboTimer) {
-            clearTimeout(this.comboTimer);
-        }
-
-        this.comboTimer = setTimeout(() => {
-            this.lastShot = null;
-        }, GameSettings.COMBO_WINDOW);
+    clearAllTimers() {
+        ballSearch.stop();
+        scheduler.cancel('ballSave');
+        scheduler.cancel('multiballFeed');
+        scheduler.cancel('lockServe');
+        scheduler.cancel('tankTrapDoor');
+        scheduler.cancel('tankRelease');
+        solenoidDriver.setTankTrapDoor(false);
+        comboManager.reset();
+        magnaSave.reset();
+        bonusCountdown.reset();
+
+        // Timed scoring modifiers end with the ball
+        scoringPipeline.clear();
     }
 
     /**
-     * Check for combo completion
+     * Get time left on a game timer (e.g. 'mode', 'ballSave')
+     * @param {string} name
+     * @returns {number} Remaining ms
      */
-    checkCombo(shot) {
-        if (this.lastShot === 'leftRamp' && shot === 'rightRamp') {
-            // L-R Combo
-            this.currentPlayer.addScore(Scoring.COMBO_RAMP);
-            lampMatrix.setLamp(Lamps.L_COMBO_2X, LampState.BLINK_FAST);
-        } else if (this.lastShot === 'centerRamp' && shot === 'satellite') {
-            // Satellite combo
-            this.currentPlayer.addScore(Scoring.COMBO_RAMP * 2);
-        }
+    getTimeRemaining(name) {
+        return scheduler.getRemaining(name);
     }
 
     /**
-     * Clear all timers
+     * Get a snapshot of the deterministic game state (for replay verification)
+     * @returns {Object}
      */
-    clearAllTimers() {
-        if (this.ballSaveTimer) {
-            clearTimeout(this.ballSaveTimer);
-            this.ballSaveTimer = null;
-        }
-        if (this.modeTimer) {
-            clearTimeout(this.modeTimer);
-            this.modeTimer = null;
-        }
-        if (this.comboTimer) {
-            clearTimeout(this.comboTimer);
-            this.comboTimer = null;
-        }
+    getSnapshot() {
+        return {
+            state: stateMachine.getCurrentStatePath(),
+            players: this.players.map(p => ({
+                number: p.number,
+                score: p.score,
+                bonus: p.bonus,
+                ballsRemaining: p.ballsRemaining
+            })),
+            currentPlayer: this.currentPlayerIndex,
+            balls: physicsEngine.balls.map(b => ({
+                x: b.x,
+                y: b.y,
+                vx: b.vx,
+                vy: b.vy,
+                active: b.active,
+                capturedBy: b.capturedBy
+            }))
+        };
     }
 
     /**
      * Initialize game logic
      */
     initialize() {
+        credits.load();
+        audits.load();
         console.log('Game Logic initialized');
     }
 
@@ -0,0 +1,323 @@
+/**
+ * HighScores.js
+ * Grand Champion and high score table, with initials entry
+ * The table is saved through Storage under a per-table namespace, so tables
+ * running different configs keep their own scores. At game end each player
+ * who made the table enters initials: flippers pick a letter, start enters it.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
+import storage from '../core/Storage.js';
+import { GameSettings } from '../config/HardwareConfig.js';
+
+/**
+ * Factory table, best first (the first entry is the Grand Champion)
+ */
+export const DefaultHighScores = [
+    { initials: 'BND', score: 30000000 },
+    { initials: 'NAT', score: 20000000 },
+    { initials: 'XEN', score: 15000000 },
+    { initials: 'ALC', score: 12000000 },
+    { initials: 'MI6', score: 10000000 }
+];
+
+// Letters offered during entry - '<' erases the last one
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ <';
+const BACKSPACE = '<';
+const INITIALS_LENGTH = 3;
+
+/**
+ * High Scores
+ */
+class HighScores {
+    constructor() {
+        this.namespace = 'default';
+        this.table = [];
+
+        // Initials entry: { queue, current, initials, letter, onComplete } while running
+        this.entry = null;
+
+        // Table to switch to once initials entry is over
+        this.pendingNamespace = null;
+
+        this.load();
+    }
+
+    /**
+     * Switch to another table's scores
+     * @param {string} namespace - Table/config name
+     */
+    setNamespace(namespace) {
+        // Initials being entered go in the table the game was played on
+        if (this.entry) {
+            this.pendingNamespace = namespace;
+            return;
+        }
+
+        this.namespace = namespace;
+        this.pendingNamespace = null;
+        this.load();
+    }
+
+    /**
+     * Storage key for the current table
+     * @returns {string}
+     */
+    get storageKey() {
+        return `highScores.${this.namespace}`;
+    }
+
+    /**
+     * Load the table, falling back to the factory scores
+     */
+    load() {
+        const stored = storage.load(this.storageKey);
+        const valid = Array.isArray(stored) && stored.every(row =>
+            typeof row?.initials === 'string' && Number.isFinite(row?.score));
+
+        if (stored !== null && !valid) {
+            console.warn(`High scores for "${this.namespace}" are invalid, using defaults`);
+        }
+
+        this.table = valid ? stored : DefaultHighScores.map(row => ({ ...row }));
+        this.trim();
+    }
+
+    /**
+     * Save the table
+     */
+    save() {
+        storage.save(this.storageKey, this.table);
+    }
+
+    /**
+     * Sort the table and cut it to the configured size
+     */
+    trim() {
+        this.table.sort((a, b) => b.score - a.score);
+        this.table.length = Math.min(this.table.length, GameSettings.HIGH_SCORE_COUNT);
+    }
+
+    /**
+     * Get the table, best first
+     * @returns {Array<{initials: string, score: number}>}
+     */
+    getTable() {
+        return this.table.map(row => ({ ...row }));
+    }
+
+    /**
+     * Get the Grand Champion
+     * @returns {{initials: string, score: number}|null}
+     */
+    getGrandChampion() {
+        return this.table[0] ? { ...this.table[0] } : null;
+    }
+
+    /**
+     * Display title for a table position
+     * @param {number} rank - 0 is the Grand Champion
+     * @returns {string}
+     */
+    getTitle(rank) {
+        return rank === 0 ? 'GRAND CHAMPION' : `HIGH SCORE #${rank}`;
+    }
+
+    /**
+     * Get the position a score would take
+     * @param {number} score
+     * @returns {number} Table position, or -1 if the score doesn't make the table
+     */
+    getRank(score) {
+        if (score <= 0) return -1;
+
+        const rank = this.table.findIndex(row => score > row.score);
+        if (rank !== -1) return rank;
+        return this.table.length < GameSettings.HIGH_SCORE_COUNT ? this.table.length : -1;
+    }
+
+    /**
+     * Get the players who make the table, best first
+     * Players are checked together so two players can't both claim the last place.
+     * @param {Player[]} players
+     * @returns {Player[]}
+     */
+    getQualifiers(players) {
+        const rows = [
+            ...this.table.map(row => ({ score: row.score, player: null })),
+            ...players.map(player => ({ score: player.score, player }))
+        ];
+
+        // Existing entries win ties
+        rows.sort((a, b) => b.score - a.score || (a.player ? 1 : 0) - (b.player ? 1 : 0));
+
+        return rows.slice(0, GameSettings.HIGH_SCORE_COUNT)
+            .filter(row => row.player && row.score > 0)
+            .map(row => row.player);
+    }
+
+    /**
+     * Add a score to the table
+     * @param {string} initials
+     * @param {number} score
+     * @returns {number} Table position, or -1 if it didn't make the table
+     */
+    insert(initials, score) {
+        const rank = this.getRank(score);
+        if (rank === -1) return -1;
+
+        this.table.splice(rank, 0, { initials, score });
+        this.trim();
+        this.save();
+        return rank;
+    }
+
+    /**
+     * Restore the factory table (operator reset)
+     */
+    reset() {
+        this.table = DefaultHighScores.map(row => ({ ...row }));
+        this.trim();
+        this.save();
+
+        console.log(`High scores reset for "${this.namespace}"`);
+        eventBus.emit(Events.HIGH_SCORES_RESET, { namespace: this.namespace });
+    }
+
+    /**
+     * Start initials entry for every player who made the table
+     * @param {Player[]} players
+     * @param {Function} onComplete - Called once every player has entered
+     * @returns {boolean} False if nobody made the table
+     */
+    startEntry(players, onComplete) {
+        this.cancelEntry();
+
+        const queue = this.getQualifiers(players);
+        if (queue.length === 0) return false;
+
+        this.entry = { queue, current: null, initials: '', letter: 0, onComplete };
+        this.nextEntry();
+        return true;
+    }
+
+    /**
+     * Move on to the next player in the queue, or finish
+     */
+    nextEntry() {
+        const entry = this.entry;
+        entry.current = entry.queue.shift() ?? null;
+
+        if (!entry.current) {
+            this.entry = null;
+            scheduler.cancel('highScoreEntry');
+            if (this.pendingNamespace) this.setNamespace(this.pendingNamespace);
+            if (entry.onComplete) entry.onComplete();
+            return;
+        }
+
+        entry.initials = '';
+        entry.letter = 0;
+
+        // A player who walks away keeps whatever was entered
+        scheduler.schedule('highScoreEntry', GameSettings.HIGH_SCORE_ENTRY_TIME, () => this.enter());
+        this.emitEntry();
+    }
+
+    /**
+     * Change the offered letter (flipper buttons)
+     * @param {boolean} isLeft - Left steps back, right steps forward
+     */
+    handleFlipper(isLeft) {
+        if (!this.entry) return;
+
+        const step = isLeft ? -1 : 1;
+        this.entry.letter = (this.entry.letter + step + LETTERS.length) % LETTERS.length;
+        this.emitEntry();
+    }
+
+    /**
+     * Take the offered letter (start button)
+     */
+    select() {
+        const entry = this.entry;
+        if (!entry) return;
+
+        const letter = LETTERS[entry.letter];
+        if (letter === BACKSPACE) {
+            entry.initials = entry.initials.slice(0, -1);
+        } else {
+            entry.initials += letter;
+        }
+
+        if (entry.initials.length >= INITIALS_LENGTH) {
+            this.enter();
+        } else {
+            this.emitEntry();
+        }
+    }
+
+    /**
+     * Put the current player's initials in the table
+     */
+    enter() {
+        const entry = this.entry;
+        if (!entry?.current) return;
+
+        const player = entry.current;
+        const initials = entry.initials.trim() ? entry.initials.padEnd(INITIALS_LENGTH) : '???';
+        const rank = this.insert(initials, player.score);
+
+        console.log(`${this.getTitle(rank)}: ${initials} ${player.score}`);
+        eventBus.emit(Events.HIGH_SCORE_ENTERED, {
+            player: player.number,
+            rank,
+            title: this.getTitle(rank),
+            initials,
+            score: player.score
+        });
+
+        this.nextEntry();
+    }
+
+    /**
+     * Emit the entry display
+     */
+    emitEntry() {
+        const entry = this.entry;
+        const player = entry.current;
+        const rank = this.getRank(player.score);
+
+        eventBus.emit(Events.HIGH_SCORE_ENTRY, {
+            player: player.number,
+            score: player.score,
+            rank,
+            title: this.getTitle(rank),
+            initials: entry.initials,
+            letter: LETTERS[entry.letter]
+        });
+    }
+
+    /**
+     * Check if initials are being entered
+     * @returns {boolean}
+     */
+    isEntering() {
+        return this.entry !== null;
+    }
+
+    /**
+     * Abandon initials entry (slam tilt)
+     */
+    cancelEntry() {
+        scheduler.cancel('highScoreEntry');
+        this.entry = null;
+        if (this.pendingNamespace) this.setNamespace(this.pendingNamespace);
+    }
+}
+
+// Export singleton
+const highScores = new HighScores();
+export default highScores;
+export { HighScores };
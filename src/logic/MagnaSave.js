@@ -0,0 +1,176 @@
+/**
+ * MagnaSave.js
+ * Satellite magnet outlane save (SPEC 5.6)
+ * A ball coming off the left return lane and the left sling is heading for the
+ * left outlane; pressing both flippers within the window fires C_SATELLITE_MAGNET,
+ * which catches the ball and throws it back to the left flipper.
+ * Each save costs a charge. Charges are earned by completing the right target
+ * bank and are capped at GameSettings.MAGNA_SAVE_MAX.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
+import { Switches, Lamps, LampState, GameSettings } from '../config/HardwareConfig.js';
+import switchMatrix from '../hardware/SwitchMatrix.js';
+import lampMatrix from '../hardware/LampMatrix.js';
+import solenoidDriver from '../hardware/SolenoidDriver.js';
+
+// Return lane to sling must be one continuous ball movement
+const APPROACH_WINDOW = 1000;
+
+/**
+ * Magna-Save
+ */
+class MagnaSave {
+    constructor() {
+        // Player whose ball is heading for the outlane (null when not armed)
+        this.armedFor = null;
+
+        // Time of the last save - the switches that led to it can't arm it again
+        this.firedAt = -Infinity;
+
+        // Flipper buttons currently held
+        this.leftHeld = false;
+        this.rightHeld = false;
+
+        // Set by a save until a flipper is let go, so one press can't save twice
+        this.pressUsed = false;
+    }
+
+    /**
+     * Watch for a ball approaching the left outlane
+     * @param {number} switchId
+     * @param {Player} player
+     */
+    handleSwitch(switchId, player) {
+        if (switchId === Switches.SW_LEFT_OUTLANE) {
+            // Too late to save it
+            this.disarm(player);
+            return;
+        }
+
+        if (switchId === Switches.SW_LEFT_SLING &&
+            switchMatrix.checkSequence([Switches.SW_LEFT_RETURN, Switches.SW_LEFT_SLING],
+                APPROACH_WINDOW, this.firedAt)) {
+            this.arm(player);
+        }
+    }
+
+    /**
+     * Track the flipper buttons - both held while armed fires the magnet
+     * @param {boolean} isLeft
+     * @param {boolean} pressed
+     */
+    handleFlipper(isLeft, pressed) {
+        if (isLeft) {
+            this.leftHeld = pressed;
+        } else {
+            this.rightHeld = pressed;
+        }
+
+        if (pressed) {
+            this.tryFire();
+        } else {
+            this.pressUsed = false;
+        }
+    }
+
+    /**
+     * Open the save window
+     * @param {Player} player
+     */
+    arm(player) {
+        if (!player || player.magnaSaveCharges <= 0 || !solenoidDriver.enabled) return;
+
+        this.armedFor = player;
+        scheduler.schedule('magnaSave', GameSettings.MAGNA_SAVE_WINDOW, () => this.disarm(player));
+
+        eventBus.emit(Events.MAGNA_SAVE_ARMED, { player: player.number });
+        this.updateLamp(player);
+
+        // Flippers may already be held
+        this.tryFire();
+    }
+
+    /**
+     * Close the save window
+     * @param {Player} player
+     */
+    disarm(player) {
+        scheduler.cancel('magnaSave');
+        this.armedFor = null;
+        if (player) this.updateLamp(player);
+    }
+
+    /**
+     * Fire the magnet if armed, charged and both flippers are held
+     * @returns {boolean} True if the magnet fired
+     */
+    tryFire() {
+        const player = this.armedFor;
+        if (!player || !this.leftHeld || !this.rightHeld || this.pressUsed) return false;
+        if (player.magnaSaveCharges <= 0) return false;
+
+        // A tilt since arming cut the coil power - the magnet can't save it
+        if (!solenoidDriver.enabled) {
+            this.disarm(player);
+            return false;
+        }
+
+        player.magnaSaveCharges--;
+        this.firedAt = scheduler.now();
+        this.pressUsed = true;
+        solenoidDriver.fireMagnaSave();
+
+        console.log(`Magna-Save! ${player.magnaSaveCharges} left`);
+        eventBus.emit(Events.MAGNA_SAVE_FIRED, {
+            player: player.number,
+            charges: player.magnaSaveCharges
+        });
+
+        this.disarm(player);
+        return true;
+    }
+
+    /**
+     * Earn a charge
+     * @param {Player} player
+     * @returns {boolean} True if the charge was stored (false at the cap)
+     */
+    addCharge(player) {
+        if (player.magnaSaveCharges >= GameSettings.MAGNA_SAVE_MAX) return false;
+
+        player.magnaSaveCharges++;
+        eventBus.emit(Events.MAGNA_SAVE_CHARGES, {
+            player: player.number,
+            charges: player.magnaSaveCharges
+        });
+        this.updateLamp(player);
+        return true;
+    }
+
+    /**
+     * L_MAGNA_SAVE: flashing while a save is possible, on while charges are stored
+     * @param {Player} player
+     */
+    updateLamp(player) {
+        let state = LampState.OFF;
+        if (player.magnaSaveCharges > 0) {
+            state = this.armedFor === player ? LampState.BLINK_FAST : LampState.ON;
+        }
+        lampMatrix.setLamp(Lamps.L_MAGNA_SAVE, state);
+    }
+
+    /**
+     * Close any open save window (ball end)
+     */
+    reset() {
+        scheduler.cancel('magnaSave');
+        this.armedFor = null;
+    }
+}
+
+// Export singleton
+const magnaSave = new MagnaSave();
+export default magnaSave;
+export { MagnaSave };
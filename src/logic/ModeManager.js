@@ -0,0 +1,432 @@
+/**
+ * ModeManager.js
+ * 007 mode (encounter) handling
+ * Loads declarative mode definitions (see config/ModeDefinitions.js) and runs
+ * the active one: goal counting, timer, lamps, scoring and exit transitions.
+ * The game's modeActive state hosts whichever mode is running.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import stateMachine from '../core/StateMachine.js';
+import scheduler from '../core/Scheduler.js';
+import {
+    Switches, SwitchNames, SwitchGroups, Lamps, LampState
+} from '../config/HardwareConfig.js';
+import { ModeDefinitions, ModeShotGroups } from '../config/ModeDefinitions.js';
+import lampMatrix from '../hardware/LampMatrix.js';
+import scoringPipeline, { ScoreSources } from './ScoringPipeline.js';
+import settings from './Settings.js';
+
+const DEFAULT_TRANSITION = { state: 'normalPlay' };
+
+/**
+ * Mode Manager
+ */
+class ModeManager {
+    constructor() {
+        // Compiled definitions by name, in load order
+        this.definitions = new Map();
+
+        // Running mode
+        this.activeMode = null;
+        this.player = null;
+        this.progress = [];
+        this.completed = false;
+
+        this.loadDefinitions(ModeDefinitions);
+    }
+
+    /**
+     * Load mode definitions
+     * @param {Array|string} data - Mode definitions, or their JSON form
+     * @param {Object} options
+     * @param {boolean} [options.replace=true] - Drop previously loaded modes first
+     * @returns {number} Number of modes loaded
+     */
+    loadDefinitions(data, { replace = true } = {}) {
+        let defs = data;
+        if (typeof data === 'string') {
+            try {
+                defs = JSON.parse(data);
+            } catch (err) {
+                console.error('Mode definitions parse error:', err.message);
+                return 0;
+            }
+        }
+
+        if (!Array.isArray(defs)) {
+            console.error('Mode definitions must be an array');
+            return 0;
+        }
+
+        const compiled = defs.map(def => this.compile(def)).filter(Boolean);
+        if (compiled.length === 0) return 0;
+
+        if (replace) {
+            this.definitions.clear();
+        }
+        compiled.forEach(def => this.definitions.set(def.name, def));
+
+        console.log(`Loaded ${compiled.length} mode definition(s)`);
+        return compiled.length;
+    }
+
+    /**
+     * Load mode definitions from a JSON file
+     * @param {string} url
+     * @param {Object} options - See loadDefinitions
+     * @returns {Promise<number>} Number of modes loaded
+     */
+    async loadFromUrl(url, options) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.error(`Failed to load modes from ${url}: ${response.status}`);
+                return 0;
+            }
+            return this.loadDefinitions(await response.text(), options);
+        } catch (err) {
+            console.error(`Failed to load modes from ${url}:`, err.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Add or replace a single mode
+     * @param {Object} def - Mode definition
+     * @returns {boolean} True if the mode was valid
+     */
+    registerMode(def) {
+        const compiled = this.compile(def);
+        if (!compiled) return false;
+
+        this.definitions.set(compiled.name, compiled);
+        return true;
+    }
+
+    /**
+     * Validate a mode definition and resolve its switch and lamp names
+     * @param {Object} def - Mode definition
+     * @returns {Object|null} Compiled definition, or null if invalid
+     */
+    compile(def) {
+        if (!def || typeof def.name !== 'string' || !def.name) {
+            console.error('Invalid mode: missing name', def);
+            return null;
+        }
+        if (!Array.isArray(def.goals) || def.goals.length === 0) {
+            console.error(`Invalid mode "${def.name}": no goals`);
+            return null;
+        }
+
+        const goals = [];
+        for (const goal of def.goals) {
+            const switches = this.resolveSwitches(goal.switches ?? []);
+            if (switches.length === 0 || !(goal.count > 0)) {
+                console.error(`Invalid mode "${def.name}": goal "${goal.label ?? goals.length + 1}" needs switches and a count`);
+                return null;
+            }
+            goals.push({
+                label: goal.label ?? SwitchNames[switches[0]],
+                switches,
+                count: goal.count,
+                distinct: goal.distinct === true,
+                lamps: (goal.lamps ?? []).map(name => this.resolveLamp(name, def.name))
+                    .filter(lamp => lamp !== undefined)
+            });
+        }
+
+        return {
+            name: def.name,
+            title: def.title ?? def.name,
+            lamp: def.lamp !== undefined ? this.resolveLamp(def.lamp, def.name) : undefined,
+            time: def.time ?? null,   // null = the MODE_TIME_DEFAULT setting when started
+            timeAdd: def.timeAdd ?? 0,
+            scoring: {
+                shot: def.scoring?.shot ?? 0,
+                jackpot: def.scoring?.jackpot ?? 0,
+                modifier: def.scoring?.modifier ?? null
+            },
+            ordered: def.ordered === true,
+            wizard: def.wizard === true,
+            goals,
+            onSuccess: def.onSuccess ?? DEFAULT_TRANSITION,
+            onFailure: def.onFailure ?? DEFAULT_TRANSITION
+        };
+    }
+
+    /**
+     * Resolve switch references to switch IDs
+     * Accepts switch IDs, Switches names, SwitchGroups names and ModeShotGroups names.
+     * @param {Array} refs
+     * @returns {Array<number>}
+     */
+    resolveSwitches(refs) {
+        const ids = [];
+
+        for (const ref of refs) {
+            if (typeof ref === 'number' && SwitchNames[ref]) {
+                ids.push(ref);
+            } else if (Switches[ref] !== undefined) {
+                ids.push(Switches[ref]);
+            } else if (SwitchGroups[ref]) {
+                ids.push(...SwitchGroups[ref]);
+            } else if (ModeShotGroups[ref]) {
+                ids.push(...this.resolveSwitches(ModeShotGroups[ref]));
+            } else {
+                console.warn(`Unknown switch in mode definition: ${ref}`);
+            }
+        }
+
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Resolve a lamp reference to a lamp ID
+     * @param {string|number} ref - Lamps name or lamp ID
+     * @param {string} modeName - For warnings
+     * @returns {number|undefined}
+     */
+    resolveLamp(ref, modeName) {
+        const id = typeof ref === 'number' ? ref : Lamps[ref];
+        if (id === undefined) {
+            console.warn(`Unknown lamp in mode "${modeName}": ${ref}`);
+        }
+        return id;
+    }
+
+    /**
+     * Get a mode definition
+     * @param {string} name
+     * @returns {Object|undefined}
+     */
+    getDefinition(name) {
+        return this.definitions.get(name);
+    }
+
+    /**
+     * Get the mode the scoop would start for a player
+     * Modes unlock in order; the wizard mode needs every other mode completed.
+     * @param {Player} player
+     * @returns {string|null} Mode name, or null if every mode is completed
+     */
+    getNextMode(player) {
+        const defs = [...this.definitions.values()];
+        const regular = defs.filter(def => !def.wizard);
+
+        const next = regular.find(def => !player.modesCompleted.includes(def.name));
+        if (next) return next.name;
+
+        const wizard = defs.find(def => def.wizard && !player.modesCompleted.includes(def.name));
+        return wizard ? wizard.name : null;
+    }
+
+    /**
+     * Start a mode
+     * @param {string} name
+     * @param {Player} player - Player the mode is running for
+     * @returns {boolean} True if the mode started
+     */
+    start(name, player) {
+        const def = this.definitions.get(name);
+        if (!def) {
+            console.warn(`Unknown mode: ${name}`);
+            return false;
+        }
+
+        this.activeMode = def;
+        this.player = player;
+        this.completed = false;
+        this.progress = def.goals.map(() => ({ hits: 0, seen: new Set() }));
+
+        if (def.lamp !== undefined) {
+            lampMatrix.setLamp(def.lamp, LampState.BLINK_FAST);
+        }
+        if (def.scoring.modifier) {
+            scoringPipeline.addModifier('mode', def.scoring.modifier);
+        }
+        this.updateGoalLamps();
+
+        const time = def.time ?? settings.get('MODE_TIME_DEFAULT');
+        scheduler.schedule('mode', time, () => {
+            stateMachine.sendEvent('modeTimeout', def.onFailure);
+        });
+
+        console.log(`Mode started: ${def.title}`);
+        eventBus.emit(Events.MODE_START, {
+            mode: def.name,
+            title: def.title,
+            time,
+            jackpot: def.scoring.jackpot,
+            goals: def.goals.map(goal => ({ label: goal.label, count: goal.count }))
+        });
+
+        return true;
+    }
+
+    /**
+     * Count a switch hit towards the running mode's goals
+     * @param {number} switchId
+     * @returns {boolean} True if the hit counted
+     */
+    handleSwitch(switchId) {
+        if (!this.activeMode || this.completed) return false;
+
+        const goals = this.activeMode.goals;
+
+        for (let i = 0; i < goals.length; i++) {
+            const goal = goals[i];
+            const progress = this.progress[i];
+
+            if (progress.hits >= goal.count) continue;
+
+            if (goal.switches.includes(switchId)) {
+                if (goal.distinct) {
+                    if (progress.seen.has(switchId)) return false;
+                    progress.seen.add(switchId);
+                }
+
+                progress.hits++;
+                this.awardShot();
+                this.emitProgress(i);
+
+                if (this.isComplete()) {
+                    this.complete();
+                } else if (progress.hits >= goal.count) {
+                    this.updateGoalLamps();
+                }
+                return true;
+            }
+
+            // Ordered modes only count the first unfinished goal
+            if (this.activeMode.ordered) return false;
+        }
+
+        return false;
+    }
+
+    /**
+     * Score a qualifying shot and add any bonus time
+     */
+    awardShot() {
+        const def = this.activeMode;
+
+        if (def.scoring.shot > 0) {
+            scoringPipeline.award(this.player, def.scoring.shot, ScoreSources.MODE);
+        }
+        if (def.timeAdd > 0) {
+            scheduler.extend('mode', def.timeAdd);
+        }
+    }
+
+    /**
+     * Flash the lamps of goals still open (only the current one for ordered modes)
+     */
+    updateGoalLamps() {
+        const def = this.activeMode;
+        let current = true;
+
+        def.goals.forEach((goal, i) => {
+            const open = this.progress[i].hits < goal.count;
+            const state = open && current ? LampState.BLINK_SLOW : LampState.OFF;
+            goal.lamps.forEach(lamp => lampMatrix.setLamp(lamp, state));
+
+            if (open && def.ordered) current = false;
+        });
+    }
+
+    /**
+     * Emit mode progress
+     * @param {number} goalIndex - Goal that changed
+     */
+    emitProgress(goalIndex) {
+        const goal = this.activeMode.goals[goalIndex];
+        const progress = this.progress[goalIndex];
+
+        eventBus.emit(Events.MODE_PROGRESS, {
+            mode: this.activeMode.name,
+            goal: goal.label,
+            hits: progress.hits,
+            count: goal.count,
+            goalsCompleted: this.activeMode.goals.filter((g, i) => this.progress[i].hits >= g.count).length,
+            goalsTotal: this.activeMode.goals.length
+        });
+    }
+
+    /**
+     * Check if every goal is made
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.activeMode.goals.every((goal, i) => this.progress[i].hits >= goal.count);
+    }
+
+    /**
+     * Complete the running mode - award jackpot and leave the mode
+     */
+    complete() {
+        const def = this.activeMode;
+        this.completed = true;
+
+        scheduler.cancel('mode');
+        scoringPipeline.removeModifier('mode');
+
+        scoringPipeline.award(this.player, def.scoring.jackpot, ScoreSources.JACKPOT);
+        this.player.modesCompleted.push(def.name);
+
+        console.log(`Mode complete: ${def.title} +${def.scoring.jackpot}`);
+        lampMatrix.startShow('modeComplete');
+        scheduler.schedule('lampShow', 1500, () => lampMatrix.stopShow());
+
+        stateMachine.sendEvent('modeComplete', def.onSuccess);
+    }
+
+    /**
+     * Stop the running mode (completed, timed out or ball ended)
+     */
+    stop() {
+        if (!this.activeMode) return;
+
+        const def = this.activeMode;
+        scheduler.cancel('mode');
+        scoringPipeline.removeModifier('mode');
+
+        def.goals.forEach(goal => {
+            goal.lamps.forEach(lamp => lampMatrix.setLamp(lamp, LampState.OFF));
+        });
+        if (def.lamp !== undefined) {
+            const done = this.completed || this.player?.modesCompleted.includes(def.name);
+            lampMatrix.setLamp(def.lamp, done ? LampState.ON : LampState.OFF);
+        }
+
+        eventBus.emit(Events.MODE_END, {
+            mode: def.name,
+            completed: this.completed
+        });
+
+        this.activeMode = null;
+        this.player = null;
+        this.progress = [];
+    }
+
+    /**
+     * Get time left in the running mode
+     * @returns {number} Remaining ms
+     */
+    getTimeRemaining() {
+        return scheduler.getRemaining('mode');
+    }
+
+    /**
+     * Check if a mode is running
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.activeMode !== null;
+    }
+}
+
+// Export singleton
+const modeManager = new ModeManager();
+export default modeManager;
+export { ModeManager };
@@ -0,0 +1,185 @@
+/**
+ * ScoringPipeline.js
+ * Every score award passes through here with a source tag.
+ * Modifiers (2X playfield, Super Pops, mode multipliers...) wrap the awards
+ * whose source they cover; they stack, can be timed and can be inspected.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
+
+/**
+ * Award source tags
+ */
+export const ScoreSources = {
+    BUMPER: 'bumper',
+    TARGET: 'target',
+    STANDUP: 'standup',
+    LANE: 'lane',
+    INLANE: 'inlane',
+    SPINNER: 'spinner',
+    RAMP: 'ramp',
+    COMBO: 'combo',
+    JACKPOT: 'jackpot',
+    MODE: 'mode',
+    SKILL_SHOT: 'skillShot',
+    BONUS: 'bonus'
+};
+
+const TIMER_PREFIX = 'scoreModifier.';
+
+/**
+ * Scoring Pipeline
+ */
+class ScoringPipeline {
+    constructor() {
+        // Active modifiers by name, applied in the order they were added
+        this.modifiers = new Map();
+    }
+
+    /**
+     * Add (or replace) a score modifier
+     * @param {string} name - Modifier name, e.g. 'playfield2x'
+     * @param {Object} options
+     * @param {number} [options.multiplier=1] - Factor applied to matching awards
+     * @param {Function} [options.apply] - Custom (points, award) => points, used instead of multiplier
+     * @param {string[]|null} [options.sources=null] - Sources it applies to (null = all)
+     * @param {string[]} [options.exclude=[]] - Sources it never applies to
+     * @param {number} [options.duration=0] - Lifetime in ms (0 = until removed)
+     * @param {Function} [options.onExpire] - Called when a timed modifier runs out
+     * @returns {string} Modifier name
+     */
+    addModifier(name, options = {}) {
+        this.modifiers.delete(name);
+        this.modifiers.set(name, {
+            name,
+            multiplier: options.multiplier ?? 1,
+            apply: options.apply ?? null,
+            sources: options.sources ?? null,
+            exclude: options.exclude ?? [],
+            duration: options.duration ?? 0
+        });
+
+        if (options.duration > 0) {
+            scheduler.schedule(TIMER_PREFIX + name, options.duration, () => {
+                this.modifiers.delete(name);
+                if (options.onExpire) options.onExpire();
+            });
+        } else {
+            scheduler.cancel(TIMER_PREFIX + name);
+        }
+
+        return name;
+    }
+
+    /**
+     * Remove a modifier
+     * @param {string} name
+     * @returns {boolean} True if it was active
+     */
+    removeModifier(name) {
+        scheduler.cancel(TIMER_PREFIX + name);
+        return this.modifiers.delete(name);
+    }
+
+    /**
+     * Check if a modifier is active
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasModifier(name) {
+        return this.modifiers.has(name);
+    }
+
+    /**
+     * Check whether a modifier covers a source
+     * @param {Object} modifier
+     * @param {string} source
+     * @returns {boolean}
+     */
+    appliesTo(modifier, source) {
+        if (modifier.exclude.includes(source)) return false;
+        return modifier.sources === null || modifier.sources.includes(source);
+    }
+
+    /**
+     * Award points to a player through the active modifiers
+     * @param {Player} player
+     * @param {number} points - Base value
+     * @param {string} source - One of ScoreSources
+     * @param {Object} options
+     * @param {number} [options.multiplier=1] - Multiplier for this award only (e.g. a combo's)
+     * @returns {number} Points actually scored
+     */
+    award(player, points, source, { multiplier = 1 } = {}) {
+        if (!player || !(points > 0)) return 0;
+
+        let total = points * multiplier;
+        const applied = [];
+
+        for (const modifier of this.modifiers.values()) {
+            if (!this.appliesTo(modifier, source)) continue;
+
+            total = modifier.apply
+                ? modifier.apply(total, { source, base: points })
+                : total * modifier.multiplier;
+            applied.push(modifier.name);
+        }
+
+        total = Math.round(total);
+        player.addScore(total);
+
+        eventBus.emit(Events.SCORE_AWARDED, {
+            player: player.number,
+            source,
+            base: points,
+            multiplier,
+            points: total,
+            modifiers: applied
+        });
+
+        return total;
+    }
+
+    /**
+     * Get the combined multiplier the plain multiplier modifiers give a source
+     * @param {string} source
+     * @returns {number}
+     */
+    getMultiplier(source) {
+        let multiplier = 1;
+        for (const modifier of this.modifiers.values()) {
+            if (!modifier.apply && this.appliesTo(modifier, source)) {
+                multiplier *= modifier.multiplier;
+            }
+        }
+        return multiplier;
+    }
+
+    /**
+     * Get active modifiers for display and debugging
+     * @returns {Array}
+     */
+    getModifiers() {
+        return [...this.modifiers.values()].map(modifier => ({
+            name: modifier.name,
+            multiplier: modifier.apply ? null : modifier.multiplier,
+            sources: modifier.sources,
+            exclude: modifier.exclude,
+            remaining: modifier.duration > 0 ? scheduler.getRemaining(TIMER_PREFIX + modifier.name) : null
+        }));
+    }
+
+    /**
+     * Remove every modifier (ball end)
+     */
+    clear() {
+        scheduler.cancelGroup(TIMER_PREFIX);
+        this.modifiers.clear();
+    }
+}
+
+// Export singleton
+const scoringPipeline = new ScoringPipeline();
+export default scoringPipeline;
+export { ScoringPipeline };
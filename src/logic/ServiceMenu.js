@@ -0,0 +1,465 @@
+/**
+ * ServiceMenu.js
+ * Operator service menu, opened with the coin door Enter button
+ * The game's service root state hosts the menu. Flipper buttons move through
+ * the entries, Enter (or start) selects and Escape backs out; backing out of
+ * the top menu returns to attract mode. Tests and screens are pages with their
+ * own button handling. The display goes out as SERVICE_DISPLAY events.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import {
+    Switches, SwitchNames, Lamps, LampNames, LampState,
+    Coils, CoilNames, CoilConfig
+} from '../config/HardwareConfig.js';
+import lampMatrix from '../hardware/LampMatrix.js';
+import solenoidDriver from '../hardware/SolenoidDriver.js';
+import switchMatrix from '../hardware/SwitchMatrix.js';
+import highScores from './HighScores.js';
+import credits from './Credits.js';
+import settings from './Settings.js';
+import audits from './Audits.js';
+
+// Hold coils are only energized briefly in the coil test
+const COIL_TEST_HOLD = 500;
+
+// Switch test shows this many of the latest closures
+const SWITCH_TEST_HISTORY = 8;
+
+/**
+ * Service Menu
+ */
+class ServiceMenu {
+    constructor() {
+        this.root = this.buildMenu();
+
+        // Open menus, outermost first: { node, index }
+        this.stack = [];
+
+        // Running page (test or screen), or null in the menus
+        this.page = null;
+
+        // Result of the last utility, shown until the selection moves
+        this.message = null;
+    }
+
+    /**
+     * Menu tree - entries open a submenu (items), a page, or run an action
+     * @returns {Object}
+     */
+    buildMenu() {
+        return {
+            title: 'SERVICE MENU',
+            items: [
+                {
+                    title: 'TESTS',
+                    items: [
+                        { title: 'SWITCH TEST', page: () => this.createSwitchTest() },
+                        { title: 'LAMP TEST', page: () => this.createLampTest() },
+                        { title: 'COIL TEST', page: () => this.createCoilTest() }
+                    ]
+                },
+                {
+                    title: 'AUDITS',
+                    items: [
+                        { title: 'VIEW AUDITS', page: () => this.createAudits() },
+                        { title: 'SWITCH AUDITS', page: () => this.createSwitchAudits() },
+                        {
+                            title: 'EXPORT CSV',
+                            action: () => audits.export('csv'),
+                            done: 'EXPORTED AUDITS.CSV'
+                        },
+                        {
+                            title: 'EXPORT JSON',
+                            action: () => audits.export('json'),
+                            done: 'EXPORTED AUDITS.JSON'
+                        },
+                        {
+                            title: 'RESET AUDITS',
+                            action: () => audits.reset(),
+                            done: 'AUDITS RESET'
+                        }
+                    ]
+                },
+                { title: 'ADJUSTMENTS', page: () => this.createAdjustments() },
+                {
+                    title: 'UTILITIES',
+                    items: [
+                        {
+                            title: 'RESET HIGH SCORES',
+                            action: () => highScores.reset(),
+                            done: 'HIGH SCORES RESET'
+                        },
+                        {
+                            title: 'CLEAR CREDITS',
+                            action: () => credits.clearCredits(),
+                            done: 'CREDITS CLEARED'
+                        },
+                        {
+                            title: 'FACTORY SETTINGS',
+                            action: () => settings.reset(),
+                            done: 'SETTINGS RESTORED'
+                        }
+                    ]
+                }
+            ]
+        };
+    }
+
+    /**
+     * Open the top menu
+     */
+    open() {
+        this.stack = [{ node: this.root, index: 0 }];
+        this.page = null;
+        this.message = null;
+
+        // Coils must work for the coil test, whatever state the game left them in
+        solenoidDriver.setEnabled(true);
+        lampMatrix.stopShow();
+        lampMatrix.allOff();
+
+        console.log('Service menu opened');
+        this.emitDisplay();
+    }
+
+    /**
+     * Leave the menu
+     */
+    close() {
+        this.closePage();
+        this.stack = [];
+        lampMatrix.allOff();
+
+        console.log('Service menu closed');
+        eventBus.emit(Events.SERVICE_DISPLAY, null);
+    }
+
+    /**
+     * Check if the menu is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.stack.length > 0;
+    }
+
+    /**
+     * Get the innermost open menu
+     * @returns {{node: Object, index: number}}
+     */
+    get current() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    /**
+     * Flipper button
+     * @param {boolean} isLeft - Left moves back, right moves forward
+     */
+    handleFlipper(isLeft) {
+        if (!this.isOpen()) return;
+
+        if (this.page) {
+            if (isLeft) {
+                this.page.left?.();
+            } else {
+                this.page.right?.();
+            }
+        } else {
+            const { node } = this.current;
+            const step = isLeft ? -1 : 1;
+            this.current.index = (this.current.index + step + node.items.length) % node.items.length;
+            this.message = null;
+        }
+        this.emitDisplay();
+    }
+
+    /**
+     * Enter button - open the selected entry
+     */
+    select() {
+        if (!this.isOpen()) return;
+
+        if (this.page) {
+            this.page.select?.();
+            this.emitDisplay();
+            return;
+        }
+
+        const item = this.current.node.items[this.current.index];
+        if (item.items) {
+            this.stack.push({ node: item, index: 0 });
+        } else if (item.page) {
+            this.page = item.page();
+        } else if (item.action) {
+            item.action();
+            this.message = item.done ?? 'DONE';
+        }
+        this.emitDisplay();
+    }
+
+    /**
+     * Escape button - leave the page or menu
+     * @returns {boolean} False when backing out of the top menu
+     */
+    back() {
+        if (!this.isOpen()) return false;
+
+        if (this.page) {
+            // Pages may use Escape themselves (e.g. to cancel an edit)
+            if (!this.page.back?.()) {
+                this.closePage();
+            }
+        } else if (this.stack.length > 1) {
+            this.stack.pop();
+        } else {
+            return false;
+        }
+
+        this.message = null;
+        this.emitDisplay();
+        return true;
+    }
+
+    /**
+     * Handle a switch closing while the menu is open
+     * @param {number} switchId
+     * @returns {boolean} False if the operator backed out of the menu
+     */
+    handleSwitch(switchId) {
+        if (!this.isOpen()) return false;
+
+        // The switch test sees every switch, the door buttons included
+        if (this.page?.handleSwitch) {
+            this.page.handleSwitch(switchId);
+            this.emitDisplay();
+        }
+
+        if (switchId === Switches.SW_SERVICE_ENTER) {
+            this.select();
+        } else if (switchId === Switches.SW_SERVICE_ESC) {
+            return this.back();
+        }
+        return true;
+    }
+
+    /**
+     * Close the running page
+     */
+    closePage() {
+        if (!this.page) return;
+
+        this.page.exit?.();
+        this.page = null;
+    }
+
+    /**
+     * Emit the display
+     */
+    emitDisplay() {
+        if (!this.isOpen()) return;
+
+        if (this.page) {
+            eventBus.emit(Events.SERVICE_DISPLAY, {
+                title: this.page.title,
+                lines: this.page.getLines(),
+                selected: this.page.selected ?? -1,
+                message: this.page.message ?? null
+            });
+            return;
+        }
+
+        const { node, index } = this.current;
+        eventBus.emit(Events.SERVICE_DISPLAY, {
+            title: node.title,
+            lines: node.items.map(item => item.title),
+            selected: index,
+            message: this.message
+        });
+    }
+
+    // =========================================================================
+    // PAGES
+    // =========================================================================
+
+    /**
+     * Switch test - lists switches as they close
+     * @returns {Object} Page
+     */
+    createSwitchTest() {
+        const history = [];
+
+        return {
+            title: 'SWITCH TEST',
+            handleSwitch(switchId) {
+                history.unshift(`${switchId} ${SwitchNames[switchId] ?? '?'}`);
+                history.length = Math.min(history.length, SWITCH_TEST_HISTORY);
+            },
+            getLines() {
+                return [
+                    `CLOSED: ${switchMatrix.getActiveSwitches().length}`,
+                    ...(history.length > 0 ? history : ['HIT A SWITCH'])
+                ];
+            }
+        };
+    }
+
+    /**
+     * Lamp test - flashes one lamp at a time, or lights them all
+     * @returns {Object} Page
+     */
+    createLampTest() {
+        const lamps = Object.values(Lamps);
+        let index = -1; // -1 = all lamps
+
+        const show = () => {
+            lampMatrix.allOff();
+            if (index < 0) {
+                lampMatrix.allOn();
+            } else {
+                lampMatrix.setLamp(lamps[index], LampState.BLINK_FAST);
+            }
+        };
+        const step = (delta) => {
+            index = ((index + 1 + delta + lamps.length + 1) % (lamps.length + 1)) - 1;
+            show();
+        };
+
+        show();
+
+        return {
+            title: 'LAMP TEST',
+            left: () => step(-1),
+            right: () => step(1),
+            exit: () => lampMatrix.allOff(),
+            getLines() {
+                return [index < 0 ? 'ALL LAMPS' : `${lamps[index]} ${LampNames[lamps[index]]}`];
+            }
+        };
+    }
+
+    /**
+     * Coil test - Enter fires the selected coil
+     * @returns {Object} Page
+     */
+    createCoilTest() {
+        const coils = Object.values(Coils);
+        let index = 0;
+        let fired = 0;
+
+        return {
+            title: 'COIL TEST',
+            left: () => { index = (index - 1 + coils.length) % coils.length; fired = 0; },
+            right: () => { index = (index + 1) % coils.length; fired = 0; },
+            select() {
+                const coilId = coils[index];
+                if (CoilConfig[coilId]?.type === 'pulse') {
+                    solenoidDriver.fire(coilId);
+                } else {
+                    solenoidDriver.run(coilId, COIL_TEST_HOLD);
+                }
+                fired++;
+            },
+            exit: () => solenoidDriver.stopAll(),
+            getLines() {
+                const coilId = coils[index];
+                return [
+                    `${coilId} ${CoilNames[coilId]}`,
+                    fired > 0 ? `FIRED x${fired}` : 'ENTER TO FIRE'
+                ];
+            }
+        };
+    }
+
+    /**
+     * Audits - bookkeeping values, flippers scroll
+     * @returns {Object} Page
+     */
+    createAudits() {
+        const champion = highScores.getGrandChampion();
+        const lines = [
+            `CREDITS ${credits.credits}`,
+            `GRAND CHAMPION ${champion ? `${champion.initials} ${champion.score.toLocaleString()}` : '-'}`,
+            ...audits.getLines()
+        ];
+        return this.createScrollPage('AUDITS', lines);
+    }
+
+    /**
+     * Switch audits - hits per switch, so dead or weak switches stand out
+     * @returns {Object} Page
+     */
+    createSwitchAudits() {
+        const lines = audits.getSwitchHits().map(({ switchId, name, hits }) =>
+            `${switchId} ${name} ${hits.toLocaleString()}`);
+        return this.createScrollPage('SWITCH AUDITS', lines);
+    }
+
+    /**
+     * Read-only list, flippers scroll
+     * @param {string} title
+     * @param {string[]} lines
+     * @returns {Object} Page
+     */
+    createScrollPage(title, lines) {
+        const page = {
+            title,
+            selected: 0,
+            left: () => { page.selected = Math.max(0, page.selected - 1); },
+            right: () => { page.selected = Math.min(lines.length - 1, page.selected + 1); },
+            getLines: () => lines
+        };
+        return page;
+    }
+
+    /**
+     * Adjustments - Enter starts and ends editing, flippers change the value
+     * @returns {Object} Page
+     */
+    createAdjustments() {
+        const schema = settings.getSchema();
+        let editing = false;
+
+        const page = {
+            title: 'ADJUSTMENTS',
+            selected: 0,
+            get message() {
+                return schema[page.selected].description;
+            },
+            left() {
+                if (editing) {
+                    settings.step(schema[page.selected].key, -1);
+                } else {
+                    page.selected = (page.selected - 1 + schema.length) % schema.length;
+                }
+            },
+            right() {
+                if (editing) {
+                    settings.step(schema[page.selected].key, 1);
+                } else {
+                    page.selected = (page.selected + 1) % schema.length;
+                }
+            },
+            select() {
+                editing = !editing;
+            },
+            back() {
+                if (!editing) return false;
+                editing = false;
+                return true;
+            },
+            getLines() {
+                return schema.map((entry, i) => {
+                    const marker = editing && i === page.selected ? '*' : '';
+                    const changed = settings.isDefault(entry.key) ? '' : ' (ADJ)';
+                    return `${entry.key.replace(/_/g, ' ')} ${marker}${settings.format(entry.key)}${marker}${changed}`;
+                });
+            }
+        };
+        return page;
+    }
+}
+
+// Export singleton
+const serviceMenu = new ServiceMenu();
+export default serviceMenu;
+export { ServiceMenu };
@@ -0,0 +1,293 @@
+/**
+ * Settings.js
+ * Operator adjustments
+ * Each adjustable setting has a schema entry (type, range, default,
+ * description). Values are validated against it, saved through Storage and
+ * read with settings.get() at the moment they are needed, so a change made in
+ * the service menu applies from the next use without a restart.
+ * Factory defaults come from GameSettings.
+ */
+
+import eventBus, { Events } from '../core/EventBus.js';
+import storage from '../core/Storage.js';
+import { GameSettings } from '../config/HardwareConfig.js';
+
+/**
+ * Settings schema, in service menu order
+ * type: 'int' (min, max, step) or 'bool'; unit is only for display
+ */
+export const SettingsSchema = [
+    {
+        key: 'BALLS_PER_GAME',
+        type: 'int', min: 1, max: 10, step: 1,
+        default: GameSettings.BALLS_PER_GAME,
+        description: 'Balls per game'
+    },
+    {
+        key: 'BALL_SAVE_TIME',
+        type: 'int', min: 0, max: 30000, step: 1000, unit: 'ms',
+        default: GameSettings.BALL_SAVE_TIME,
+        description: 'Ball save after each launch (0 = off)'
+    },
+    {
+        key: 'MODE_TIME_DEFAULT',
+        type: 'int', min: 10000, max: 120000, step: 5000, unit: 'ms',
+        default: GameSettings.MODE_TIME_DEFAULT,
+        description: 'Time limit for modes that set none'
+    },
+    {
+        key: 'TILT_WARNINGS',
+        type: 'int', min: 0, max: 5, step: 1,
+        default: GameSettings.TILT_WARNINGS,
+        description: 'Warnings before a tilt'
+    },
+    {
+        key: 'EXTRA_BALL_SCORE',
+        type: 'int', min: 0, max: 100000000, step: 1000000,
+        default: GameSettings.EXTRA_BALL_SCORE,
+        description: 'Score that lights extra ball (0 = off)'
+    },
+    {
+        key: 'EXTRA_BALL_MODES',
+        type: 'int', min: 0, max: 7, step: 1,
+        default: GameSettings.EXTRA_BALL_MODES,
+        description: 'Completed modes that light extra ball (0 = off)'
+    },
+    {
+        key: 'REPLAY_SCORE',
+        type: 'int', min: 0, max: 200000000, step: 5000000,
+        default: GameSettings.REPLAY_SCORE,
+        description: 'Score that awards a replay (0 = off)'
+    },
+    {
+        key: 'FREE_PLAY',
+        type: 'bool',
+        default: GameSettings.FREE_PLAY,
+        description: 'Games need no credits'
+    },
+    {
+        key: 'MAX_CREDITS',
+        type: 'int', min: 1, max: 99, step: 1,
+        default: GameSettings.MAX_CREDITS,
+        description: 'Credit limit'
+    },
+    {
+        key: 'MATCH_ENABLED',
+        type: 'bool',
+        default: GameSettings.MATCH_ENABLED,
+        description: 'Match at game end (not on free play)'
+    },
+    {
+        key: 'BALL_SEARCH_TIME',
+        type: 'int', min: 5000, max: 60000, step: 1000, unit: 'ms',
+        default: GameSettings.BALL_SEARCH_TIME,
+        description: 'Quiet playfield time before a ball search'
+    },
+    {
+        key: 'BALL_SEARCH_ROUNDS',
+        type: 'int', min: 1, max: 10, step: 1,
+        default: GameSettings.BALL_SEARCH_ROUNDS,
+        description: 'Search rounds before a ball is declared lost'
+    }
+];
+
+/**
+ * Settings
+ */
+class Settings {
+    constructor() {
+        this.schema = new Map(SettingsSchema.map(entry => [entry.key, entry]));
+
+        // Values that differ from the defaults
+        this.values = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Restore saved settings, dropping any that no longer validate
+     */
+    load() {
+        this.values.clear();
+
+        const stored = storage.load('settings', {});
+        for (const [key, value] of Object.entries(stored ?? {})) {
+            const valid = this.validate(key, value);
+            if (valid === null) {
+                console.warn(`Ignoring saved setting ${key}: ${JSON.stringify(value)}`);
+                continue;
+            }
+            this.values.set(key, valid);
+        }
+    }
+
+    /**
+     * Save settings that differ from the defaults
+     */
+    save() {
+        storage.save('settings', Object.fromEntries(this.values));
+    }
+
+    /**
+     * Get the settings that differ from the defaults (e.g. to save with a replay)
+     * @returns {Object} { key: value }
+     */
+    getChanged() {
+        return Object.fromEntries(this.values);
+    }
+
+    /**
+     * Put a set of adjustments in effect for this session, without saving them
+     * (e.g. the ones a replay was recorded with)
+     * @param {Object} values - { key: value }, anything missing at its default
+     */
+    apply(values) {
+        const before = new Map([...this.schema.keys()].map(key => [key, this.get(key)]));
+
+        this.values.clear();
+        for (const [key, value] of Object.entries(values)) {
+            const valid = this.validate(key, value);
+            if (valid === null) {
+                console.warn(`Ignoring setting ${key}: ${JSON.stringify(value)}`);
+                continue;
+            }
+            if (valid !== this.schema.get(key).default) this.values.set(key, valid);
+        }
+
+        for (const [key, value] of before) {
+            if (this.get(key) !== value) {
+                eventBus.emit(Events.SETTINGS_CHANGED, { key, value: this.get(key) });
+            }
+        }
+    }
+
+    /**
+     * Get the schema
+     * @returns {Array}
+     */
+    getSchema() {
+        return SettingsSchema;
+    }
+
+    /**
+     * Get a setting
+     * @param {string} key
+     * @returns {number|boolean|undefined}
+     */
+    get(key) {
+        const entry = this.schema.get(key);
+        if (!entry) {
+            console.warn(`Unknown setting: ${key}`);
+            return undefined;
+        }
+        return this.values.has(key) ? this.values.get(key) : entry.default;
+    }
+
+    /**
+     * Check a value against the schema
+     * @param {string} key
+     * @param {*} value
+     * @returns {number|boolean|null} The value, or null if it isn't valid
+     */
+    validate(key, value) {
+        const entry = this.schema.get(key);
+        if (!entry) return null;
+
+        if (entry.type === 'bool') {
+            return typeof value === 'boolean' ? value : null;
+        }
+
+        if (!Number.isInteger(value) || value < entry.min || value > entry.max) {
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Change a setting
+     * @param {string} key
+     * @param {*} value
+     * @returns {boolean} False if the value was rejected
+     */
+    set(key, value) {
+        const valid = this.validate(key, value);
+        if (valid === null) {
+            console.warn(`Invalid value for ${key}: ${JSON.stringify(value)}`);
+            return false;
+        }
+
+        if (valid === this.schema.get(key).default) {
+            this.values.delete(key);
+        } else {
+            this.values.set(key, valid);
+        }
+        this.save();
+
+        console.log(`Setting ${key} = ${valid}`);
+        eventBus.emit(Events.SETTINGS_CHANGED, { key, value: valid });
+        return true;
+    }
+
+    /**
+     * Step a setting (service menu flipper buttons)
+     * Numbers move by their step within range; booleans toggle.
+     * @param {string} key
+     * @param {number} direction - -1 or 1
+     * @returns {boolean} True if the value changed
+     */
+    step(key, direction) {
+        const entry = this.schema.get(key);
+        if (!entry) return false;
+
+        const value = this.get(key);
+        if (entry.type === 'bool') {
+            return this.set(key, !value);
+        }
+
+        const next = Math.min(entry.max, Math.max(entry.min, value + direction * entry.step));
+        return next !== value && this.set(key, next);
+    }
+
+    /**
+     * Restore one setting, or all of them, to the factory default
+     * @param {string} [key]
+     */
+    reset(key) {
+        const keys = key ? [key] : [...this.values.keys()];
+        keys.forEach(k => {
+            this.values.delete(k);
+            eventBus.emit(Events.SETTINGS_CHANGED, { key: k, value: this.get(k) });
+        });
+        this.save();
+
+        console.log(key ? `Setting ${key} reset` : 'Factory settings restored');
+    }
+
+    /**
+     * Format a setting for display
+     * @param {string} key
+     * @returns {string}
+     */
+    format(key) {
+        const entry = this.schema.get(key);
+        const value = this.get(key);
+
+        if (entry.type === 'bool') return value ? 'YES' : 'NO';
+        if (entry.unit === 'ms') return `${value / 1000}s`;
+        return value.toLocaleString();
+    }
+
+    /**
+     * Check if a setting is at its factory default
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isDefault(key) {
+        return !this.values.has(key);
+    }
+}
+
+// Export singleton
+const settings = new Settings();
+export default settings;
+export { Settings };
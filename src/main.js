@@ -7,12 +7,17 @@
 import eventBus, { Events } from './core/EventBus.js';
 import gameLoop from './core/GameLoop.js';
 import stateMachine from './core/StateMachine.js';
+import replay, { Replay } from './core/Replay.js';
 import physicsEngine from './physics/PhysicsEngine.js';
 import switchMatrix from './hardware/SwitchMatrix.js';
 import lampMatrix from './hardware/LampMatrix.js';
 import solenoidDriver from './hardware/SolenoidDriver.js';
 import renderer from './render/Renderer.js';
 import gameLogic from './logic/GameLogic.js';
+import modeManager from './logic/ModeManager.js';
+import highScores from './logic/HighScores.js';
+import scoringPipeline from './logic/ScoringPipeline.js';
+import settings from './logic/Settings.js';
 
 console.log('Modules loaded successfully');
 
@@ -73,6 +78,17 @@ class PinballApp {
             stateMachine.start('attract');
             console.log('   State machine started');
 
+            // Recording holds every input until saved, so only on request:
+            // opened with ?record, the whole session can be saved as a replay
+            if (new URLSearchParams(window.location.search).has('record')) {
+                this.recordReplay();
+            }
+
+            // Audits exported from the service menu are offered as downloads
+            eventBus.on(Events.AUDITS_EXPORTED, ({ filename, data }) => {
+                this.download(filename, data);
+            });
+
             // Disable verbose event logging (enable with eventBus.setLogging(true) in console)
             eventBus.setLogging(false);
 
@@ -89,13 +105,15 @@ class PinballApp {
             console.log('=== Initialization complete! ===');
             console.log('');
             console.log('Controls:');
-            console.log('  [S] or [Enter] - Start Game');
+            console.log('  [S] or [Enter] - Start Game (again during ball 1 to add players)');
             console.log('  [Z] or [Left Shift] - Left Flipper');
             console.log('  [X] or [Right Shift] - Right Flipper');
             console.log('  [Space] - Launch Ball (hold & release)');
             console.log('  [D] - Toggle Debug Panel');
             console.log('  [C] - Toggle Collision Zones');
             console.log('');
+            console.log('Replays: open with ?record, then pinball.app.saveReplay()');
+            console.log('');
 
         } catch (error) {
             console.error('Initialization failed:', error);
@@ -149,6 +167,59 @@ class PinballApp {
         gameLoop.resume();
     }
 
+    /**
+     * Load a table config (mode definitions) from a JSON file
+     * A replacing load also switches to the config's own high score table,
+     * named after the file (e.g. modes/hard.json plays for the "hard" scores).
+     * @param {string} url
+     * @param {Object} options - See ModeManager.loadDefinitions
+     * @param {string} [options.namespace] - High score table to use instead
+     * @returns {Promise<number>} Number of modes loaded
+     */
+    async loadTable(url, { namespace, ...options } = {}) {
+        const count = await modeManager.loadFromUrl(url, options);
+
+        // Additive loads extend the current table and keep its scores
+        if (count > 0 && options.replace !== false) {
+            const file = url.split(/[?#]/)[0].split('/').pop().replace(/\.json$/i, '');
+            highScores.setNamespace(namespace ?? (file || 'default'));
+        }
+        return count;
+    }
+
+    /**
+     * Start recording inputs for a replay, with the current settings
+     * Only a recording started at startup (?record) plays back exactly.
+     * @param {number} [seed]
+     */
+    recordReplay(seed) {
+        replay.startRecording(seed, settings.getChanged());
+    }
+
+    /**
+     * Save the session so far as a replay (e.g. to attach to a bug report)
+     * Recording stops; play the result back with the headless app.
+     * @returns {string|null} Serialized replay
+     */
+    saveReplay() {
+        const data = replay.stopRecording(gameLogic.getSnapshot());
+        return data ? Replay.serialize(data) : null;
+    }
+
+    /**
+     * Offer text to the browser as a file download
+     * @param {string} filename
+     * @param {string} data
+     */
+    download(filename, data) {
+        const url = URL.createObjectURL(new Blob([data], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Get current game state for debugging
      */
@@ -187,12 +258,15 @@ window.pinball = {
     eventBus,
     gameLoop,
     stateMachine,
+    replay,
     physicsEngine,
     switchMatrix,
     lampMatrix,
     solenoidDriver,
     renderer,
-    gameLogic
+    gameLogic,
+    modeManager,
+    scoringPipeline
 };
 
 // Export for module usage
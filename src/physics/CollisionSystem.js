@@ -4,11 +4,20 @@
  * Maps physical positions to switch IDs
  */
 
-import { Switches, Physics } from '../config/HardwareConfig.js';
+import { Switches, Coils, Physics } from '../config/HardwareConfig.js';
 
 /**
  * All collision zones on the playfield
  * Each zone triggers a specific switch when hit
+ *
+ * Optional zone properties:
+ *   capturesBall - ball is held in the zone until ejected
+ *   enclosed     - under a ramp/playfield: only reachable through a diverter
+ *   diverter     - { coil, to: [zone names] } while the coil is energized, a ball
+ *                  hitting this zone is routed into the first empty target zone
+ *   releaseCoil  - coil that kicks a captured ball back out
+ *   gate         - coil that must be energized for the ball to reach the zone
+ *                  (e.g. a trap door)
  */
 export const CollisionZones = [
     // =========================================================================
@@ -305,7 +314,8 @@ export const CollisionZones = [
         w: 40,
         h: 15,
         switchId: Switches.SW_LEFT_RAMP_MADE,
-        normal: { x: 0, y: 1 }
+        normal: { x: 0, y: 1 },
+        diverter: { coil: Coils.C_LEFT_RAMP_DIVERTER, to: ['left_lock', 'satellite_lock'] }
     },
     {
         name: 'center_ramp_exit',
@@ -410,7 +420,9 @@ export const CollisionZones = [
         y: 500,
         radius: 15,
         switchId: Switches.SW_TANK_LOCK_1,
-        capturesBall: true
+        capturesBall: true,
+        gate: Coils.C_TANK_TRAP_DOOR,
+        releaseCoil: Coils.C_TANK_TRAP_RELEASE
     },
     {
         name: 'tank_lock_2',
@@ -419,7 +431,9 @@ export const CollisionZones = [
         y: 480,
         radius: 15,
         switchId: Switches.SW_TANK_LOCK_2,
-        capturesBall: true
+        capturesBall: true,
+        gate: Coils.C_TANK_TRAP_DOOR,
+        releaseCoil: Coils.C_TANK_TRAP_RELEASE
     },
 
     // =========================================================================
@@ -441,7 +455,9 @@ export const CollisionZones = [
         y: 250,
         radius: 18,
         switchId: Switches.SW_SATELLITE_LOCK,
-        capturesBall: true
+        capturesBall: true,
+        enclosed: true,
+        releaseCoil: Coils.C_SATELLITE_MOTOR
     },
     {
         name: 'left_lock',
@@ -450,7 +466,9 @@ export const CollisionZones = [
         y: 700,
         radius: 18,
         switchId: Switches.SW_LEFT_LOCK,
-        capturesBall: true
+        capturesBall: true,
+        enclosed: true,
+        releaseCoil: Coils.C_SATELLITE_MOTOR
     },
 
     // =========================================================================
@@ -500,15 +518,25 @@ export const CollisionZones = [
     // =========================================================================
     // SHOOTER LANE
     // =========================================================================
+    // Inner wall between the lane and the right outlane, down to the plunger
     {
-        name: 'shooter_lane',
-        type: 'rect',
-        x: 740,
-        y: 900,
-        w: 40,
-        h: 30,
-        switchId: Switches.SW_SHOOTER_LANE,
-        normal: { x: -1, y: 0 }
+        name: 'wall_shooter_lane',
+        type: 'line',
+        x1: 750,
+        y1: 960,
+        x2: 750,
+        y2: 1110,
+        switchId: null
+    },
+    // Lane exit - turns a plunged ball left onto the playfield
+    {
+        name: 'wall_shooter_lane_exit',
+        type: 'line',
+        x1: 800,
+        y1: 960,
+        x2: 750,
+        y2: 660,
+        switchId: null
     },
 
     // =========================================================================
@@ -551,7 +579,7 @@ export const CollisionZones = [
         x1: 750,
         y1: 200,
         x2: 750,
-        y2: 850,
+        y2: 660,
         switchId: null
     },
     // Left outlane guide
@@ -574,6 +602,16 @@ export const CollisionZones = [
         y2: 1080,
         switchId: null
     },
+    // Closes the gap between the right outlane guide and the shooter lane
+    {
+        name: 'wall_right_outlane_top',
+        type: 'line',
+        x1: 700,
+        y1: 900,
+        x2: 750,
+        y2: 960,
+        switchId: null
+    },
     // Left inlane/outlane divider
     {
         name: 'wall_left_divider',
@@ -593,6 +631,45 @@ export const CollisionZones = [
         x2: 620,
         y2: 1050,
         switchId: null
+    },
+    // Inlane guides - run down to the flipper pivots, so a ball held on a
+    // raised flipper settles in the crook between the two (a cradle)
+    {
+        name: 'wall_left_inlane_guide',
+        type: 'line',
+        x1: 190,
+        y1: 1000,
+        x2: 270,
+        y2: 1034,
+        switchId: null
+    },
+    {
+        name: 'wall_right_inlane_guide',
+        type: 'line',
+        x1: 610,
+        y1: 1000,
+        x2: 530,
+        y2: 1034,
+        switchId: null
+    },
+    // Aprons - the outlanes run down under the flippers into the drain
+    {
+        name: 'wall_left_apron',
+        type: 'line',
+        x1: 130,
+        y1: 1080,
+        x2: 310,
+        y2: 1190,
+        switchId: null
+    },
+    {
+        name: 'wall_right_apron',
+        type: 'line',
+        x1: 670,
+        y1: 1080,
+        x2: 490,
+        y2: 1190,
+        switchId: null
     }
 ];
 
@@ -604,6 +681,26 @@ export function getSwitchZones() {
     return CollisionZones.filter(zone => zone.switchId !== null);
 }
 
+/**
+ * Magnet force fields
+ * While the coil is energized, free balls inside the radius are pulled to the
+ * centre and slowed (damping per frame); when it lets go they are thrown
+ * toward the release point at releaseSpeed.
+ */
+export const MagnetFields = [
+    {
+        name: 'magna_save',
+        coil: Coils.C_SATELLITE_MAGNET,
+        x: 125,
+        y: 990,
+        radius: 90,
+        strength: 1.2,
+        damping: 0.7,
+        release: { x: 280, y: 1040 },   // left flipper
+        releaseSpeed: 6
+    }
+];
+
 /**
  * Get collision zone by name
  * @param {string} name
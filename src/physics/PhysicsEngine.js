@@ -5,8 +5,9 @@
  */
 
 import eventBus, { Events } from '../core/EventBus.js';
-import { Physics, PlayfieldConfig, Coils } from '../config/HardwareConfig.js';
-import { CollisionZones } from './CollisionSystem.js';
+import { Physics, PlayfieldConfig, Coils, Switches, SwitchGroups } from '../config/HardwareConfig.js';
+import { CollisionZones, MagnetFields } from './CollisionSystem.js';
+import switchMatrix from '../hardware/SwitchMatrix.js';
 
 /**
  * Ball object
@@ -21,13 +22,14 @@ export class Ball {
         this.vx = 0;
         this.vy = 0;
         this.radius = Physics.BALL_RADIUS;
+        this.mass = Physics.BALL_MASS;
         this.active = true;
         this.captured = false;  // True when in scoop, lock, etc.
         this.capturedBy = null;
     }
 
     /**
-     * Update ball position
+     * Update ball velocity for a frame (the engine moves it, see advance)
      * @param {number} dt - Delta time in ms
      */
     update(dt) {
@@ -45,16 +47,28 @@ export class Ball {
         this.vy *= Physics.BALL_FRICTION;
 
         // Clamp velocity
+        this.clampSpeed();
+    }
+
+    /**
+     * Hold the ball to Physics.MAX_VELOCITY, keeping its direction
+     */
+    clampSpeed() {
         const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
         if (speed > Physics.MAX_VELOCITY) {
             const scale = Physics.MAX_VELOCITY / speed;
             this.vx *= scale;
             this.vy *= scale;
         }
+    }
 
-        // Update position
-        this.x += this.vx;
-        this.y += this.vy;
+    /**
+     * Move the ball along its velocity
+     * @param {number} [fraction=1] - Share of a frame to move (one substep)
+     */
+    advance(fraction = 1) {
+        this.x += this.vx * fraction;
+        this.y += this.vy * fraction;
     }
 
     /**
@@ -105,6 +119,9 @@ export class Ball {
 
 /**
  * Flipper object
+ * A bat rotating about its pivot. Angles are in screen coordinates (y down),
+ * so the configured angles (y up) are mirrored: a resting flipper points down
+ * toward the centre and pressing swings it up.
  */
 export class Flipper {
     constructor(x, y, isLeft = true) {
@@ -116,17 +133,26 @@ export class Flipper {
 
         // Angles in radians
         this.restAngle = isLeft
-            ? (Physics.FLIPPER_REST_ANGLE * Math.PI / 180)
-            : (Math.PI - Physics.FLIPPER_REST_ANGLE * Math.PI / 180);
+            ? -(Physics.FLIPPER_REST_ANGLE * Math.PI / 180)
+            : (Math.PI + Physics.FLIPPER_REST_ANGLE * Math.PI / 180);
 
         this.maxAngle = isLeft
-            ? ((Physics.FLIPPER_REST_ANGLE + Physics.FLIPPER_MAX_ANGLE) * Math.PI / 180)
-            : (Math.PI - (Physics.FLIPPER_REST_ANGLE + Physics.FLIPPER_MAX_ANGLE) * Math.PI / 180);
+            ? -((Physics.FLIPPER_REST_ANGLE + Physics.FLIPPER_MAX_ANGLE) * Math.PI / 180)
+            : (Math.PI + (Physics.FLIPPER_REST_ANGLE + Physics.FLIPPER_MAX_ANGLE) * Math.PI / 180);
 
         this.angle = this.restAngle;
         this.targetAngle = this.restAngle;
+
+        // Angles at the start and end of the current frame, for substeps
+        this.prevAngle = this.angle;
+        this.nextAngle = this.angle;
+
+        // Radians turned this frame (positive = clockwise on screen)
         this.angularVelocity = 0;
         this.isPressed = false;
+
+        // End-of-stroke switch closed
+        this.eos = false;
     }
 
     /**
@@ -147,30 +173,40 @@ export class Flipper {
 
     /**
      * Update flipper position
+     * Swings up at full speed while pressed and falls back more slowly.
      * @param {number} dt
      */
     update(dt) {
+        this.prevAngle = this.angle;
+
+        const speed = Physics.FLIPPER_ANGULAR_VEL * Math.PI / 180 *
+            (this.targetAngle === this.maxAngle ? 1 : Physics.FLIPPER_RETURN_RATIO);
         const angleDiff = this.targetAngle - this.angle;
-        const angularSpeed = Physics.FLIPPER_ANGULAR_VEL * Math.PI / 180;
 
-        if (Math.abs(angleDiff) < 0.01) {
+        if (Math.abs(angleDiff) <= speed) {
             this.angle = this.targetAngle;
-            this.angularVelocity = 0;
-        } else if (angleDiff > 0) {
-            this.angularVelocity = this.isLeft ? angularSpeed : -angularSpeed;
-            this.angle += this.angularVelocity;
-            if ((this.isLeft && this.angle > this.targetAngle) ||
-                (!this.isLeft && this.angle < this.targetAngle)) {
-                this.angle = this.targetAngle;
-            }
         } else {
-            this.angularVelocity = this.isLeft ? -angularSpeed * 0.6 : angularSpeed * 0.6;
-            this.angle += this.angularVelocity;
-            if ((this.isLeft && this.angle < this.targetAngle) ||
-                (!this.isLeft && this.angle > this.targetAngle)) {
-                this.angle = this.targetAngle;
-            }
+            this.angle += Math.sign(angleDiff) * speed;
         }
+
+        this.angularVelocity = this.angle - this.prevAngle;
+        this.nextAngle = this.angle;
+    }
+
+    /**
+     * Place the flipper part way through the frame's swing
+     * @param {number} t - 0 (start of frame) to 1 (end of frame)
+     */
+    interpolate(t) {
+        this.angle = this.prevAngle + (this.nextAngle - this.prevAngle) * t;
+    }
+
+    /**
+     * Distance the tip sweeps this frame
+     * @returns {number} pixels
+     */
+    getTipTravel() {
+        return Math.abs(this.nextAngle - this.prevAngle) * this.length;
     }
 
     /**
@@ -185,13 +221,97 @@ export class Flipper {
     }
 
     /**
-     * Check if flipper is moving up (for ball acceleration)
+     * Velocity of a point on the flipper (ω × r)
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}} pixels/frame
+     */
+    getPointVelocity(x, y) {
+        return {
+            x: -this.angularVelocity * (y - this.y),
+            y: this.angularVelocity * (x - this.x)
+        };
+    }
+
+    /**
+     * Check if the flipper is held all the way up (EOS switch closed)
      * @returns {boolean}
      */
-    isMovingUp() {
-        return this.isLeft
-            ? this.angularVelocity > 0.1
-            : this.angularVelocity < -0.1;
+    isAtEndOfStroke() {
+        return this.isPressed && this.angle === this.maxAngle;
+    }
+}
+
+/**
+ * Ball trough below the playfield
+ * Balls roll down to position 1 (SW_TROUGH_1, by the eject) and each
+ * position has an opto that is closed while no ball blocks it.
+ */
+export class Trough {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.count = capacity;
+
+        // Ball present at each position, as last reported by the optos
+        this.optos = new Array(capacity).fill(true);
+
+        // Balls drained into a full trough, jammed above it where no opto sees them
+        this.overflow = 0;
+    }
+
+    /**
+     * Take in a drained ball
+     */
+    add() {
+        if (this.count === this.capacity) {
+            this.overflow++;
+            console.error(`Ball drained into a full trough (${this.overflow} jammed above it)`);
+            return;
+        }
+
+        this.count++;
+        this.updateOptos();
+    }
+
+    /**
+     * Eject the ball at position 1 (a jammed ball drops into its place)
+     * @returns {boolean} False if the trough is empty
+     */
+    take() {
+        if (this.count === 0) return false;
+
+        if (this.overflow > 0) {
+            this.overflow--;
+        } else {
+            this.count--;
+            this.updateOptos();
+        }
+        return true;
+    }
+
+    /**
+     * Fill the trough (every ball back home)
+     */
+    reset() {
+        this.count = this.capacity;
+        this.overflow = 0;
+        this.updateOptos();
+    }
+
+    /**
+     * Open the optos with a ball in front of them and close the rest
+     */
+    updateOptos() {
+        SwitchGroups.TROUGH.forEach((switchId, i) => {
+            const present = i < this.count;
+            if (present === this.optos[i]) return;
+
+            this.optos[i] = present;
+            eventBus.emit(present ? Events.PHYSICS_ZONE_EXIT : Events.PHYSICS_COLLISION, {
+                zone: 'trough',
+                switchId
+            });
+        });
     }
 }
 
@@ -204,11 +324,11 @@ class PhysicsEngine {
         this.leftFlipper = null;
         this.rightFlipper = null;
         this.collisionZones = [];
+        this.magnetFields = [];
 
         // Playfield boundaries
         this.bounds = {
             left: 50,
-            right: PlayfieldConfig.WIDTH - 50,
             top: 50,
             bottom: PlayfieldConfig.HEIGHT
         };
@@ -216,9 +336,39 @@ class PhysicsEngine {
         // Shooter lane state
         this.plungerPower = 0;
         this.plungerCharging = false;
+        this.shooterLaneOccupied = false;
+
+        // Coils currently energized (diverters, magnets...)
+        this.energizedCoils = new Set();
+
+        // Flipper and kicker power (cut by a tilt)
+        this.coilPower = true;
+
+        // Simulation held still (service menu open over a game)
+        this.frozen = false;
+
+        // Cabinet plumb bob: swing offset and speed, touching the tilt ring
+        this.plumbBob = { x: 0, y: 0, vx: 0, vy: 0, touching: false };
+
+        // Every ball in the machine starts in the trough
+        this.trough = new Trough(PlayfieldConfig.TROUGH.capacity);
+
+        // Balls on the playfield, in locks and in the trough add up
+        this.ballCountOk = true;
 
         // Subscribe to coil events for physical effects
         eventBus.on(Events.COIL_FIRED, this.handleCoilFired.bind(this));
+        eventBus.on(Events.COIL_RELEASED, this.handleCoilReleased.bind(this));
+        eventBus.on(Events.COIL_POWER, this.handleCoilPower.bind(this));
+
+        // Subscribe to input events (flipper buttons and plunger)
+        eventBus.on(Events.INPUT_FLIPPER_LEFT, this.handleLeftFlipperInput.bind(this));
+        eventBus.on(Events.INPUT_FLIPPER_RIGHT, this.handleRightFlipperInput.bind(this));
+        eventBus.on(Events.INPUT_LAUNCH, this.handleLaunchInput.bind(this));
+
+        // Cabinet nudges and kicks
+        eventBus.on(Events.INPUT_NUDGE, this.handleNudgeInput.bind(this));
+        eventBus.on(Events.INPUT_SLAM, this.handleSlamInput.bind(this));
     }
 
     /**
@@ -240,6 +390,7 @@ class PhysicsEngine {
 
         // Load collision zones
         this.collisionZones = CollisionZones;
+        this.magnetFields = MagnetFields;
 
         console.log('Physics engine initialized');
     }
@@ -258,6 +409,7 @@ class PhysicsEngine {
 
     /**
      * Create ball in shooter lane
+     * Only the trough feeds the lane (see feedShooterLane).
      * @returns {Ball}
      */
     createBallInShooter() {
@@ -277,6 +429,24 @@ class PhysicsEngine {
         }
     }
 
+    /**
+     * Take a ball off the playfield without a drain (e.g. given up by a ball search)
+     * A captor holding it lets its switch open.
+     * @param {Ball} ball
+     */
+    loseBall(ball) {
+        const zone = ball.captured && this.collisionZones.find(z => z.name === ball.capturedBy);
+        ball.release();
+        ball.active = false;
+
+        if (zone) {
+            eventBus.emit(Events.PHYSICS_ZONE_EXIT, {
+                switchId: zone.switchId,
+                zone: zone.name
+            });
+        }
+    }
+
     /**
      * Get active (non-captured) balls
      * @returns {Ball[]}
@@ -290,6 +460,8 @@ class PhysicsEngine {
      * @param {number} dt - Delta time in ms
      */
     update(dt) {
+        if (this.frozen) return;
+
         // Update flippers
         if (this.leftFlipper) this.leftFlipper.update(dt);
         if (this.rightFlipper) this.rightFlipper.update(dt);
@@ -299,18 +471,21 @@ class PhysicsEngine {
             this.plungerPower = Math.min(1, this.plungerPower + 0.02);
         }
 
-        // Update each ball
-        for (const ball of this.balls) {
-            if (!ball.active || ball.captured) continue;
-
+        // Apply forces to each ball
+        const moving = this.getActiveBalls();
+        for (const ball of moving) {
             ball.update(dt);
+            this.applyMagnets(ball);
+        }
 
-            // Check collisions
-            this.checkBoundaryCollision(ball);
-            this.checkFlipperCollision(ball, this.leftFlipper);
-            this.checkFlipperCollision(ball, this.rightFlipper);
-            this.checkZoneCollisions(ball);
+        // Move in substeps short enough that nothing can pass through a wall,
+        // a flipper or another ball between two collision checks
+        const substeps = this.getSubsteps(moving);
+        for (let step = 1; step <= substeps; step++) {
+            this.moveBalls(moving.filter(b => b.active && !b.captured), step / substeps, 1 / substeps);
+        }
 
+        for (const ball of moving) {
             // Check for drain
             this.checkDrain(ball);
 
@@ -323,6 +498,229 @@ class PhysicsEngine {
                 vy: ball.vy
             });
         }
+
+        this.updateShooterLaneSwitch();
+        this.updateFlipperSwitches();
+        this.updatePlumbBob();
+        this.checkBallCount();
+    }
+
+    /**
+     * Number of substeps this frame
+     * Enough that no ball (or flipper tip) moves more than
+     * Physics.MAX_STEP_DISTANCE per substep - less than a ball radius, so a
+     * ball always overlaps anything it reaches before its centre gets past it.
+     * @param {Ball[]} balls - Balls on the playfield
+     * @returns {number}
+     */
+    getSubsteps(balls) {
+        const flipperTravel = [this.leftFlipper, this.rightFlipper].reduce((max, f) => Math.max(max, f ? f.getTipTravel() : 0), 0);
+        const ballTravel = balls.reduce((max, b) => Math.max(max, Math.sqrt(b.vx * b.vx + b.vy * b.vy)), 0);
+        const steps = Math.ceil((ballTravel + flipperTravel) / Physics.MAX_STEP_DISTANCE);
+        return Math.max(1, Math.min(Physics.MAX_SUBSTEPS, steps));
+    }
+
+    /**
+     * Run one substep: swing the flippers, move the balls and collide them
+     * @param {Ball[]} balls - Balls on the playfield
+     * @param {number} t - How far through the frame this substep ends (0-1)
+     * @param {number} fraction - Share of the frame each ball moves
+     */
+    moveBalls(balls, t, fraction) {
+        if (this.leftFlipper) this.leftFlipper.interpolate(t);
+        if (this.rightFlipper) this.rightFlipper.interpolate(t);
+
+        for (const ball of balls) {
+            ball.advance(fraction);
+        }
+
+        // Balls hit each other before the playfield, so walls get the last word
+        this.checkBallCollisions(balls);
+
+        for (const ball of balls) {
+            this.checkBoundaryCollision(ball);
+            this.checkFlipperCollision(ball, this.leftFlipper);
+            this.checkFlipperCollision(ball, this.rightFlipper);
+
+            this.checkZoneCollisions(ball);
+        }
+    }
+
+    /**
+     * Collide balls with each other
+     * Sweep and prune: balls sorted by left edge only need testing against
+     * the balls that start before their right edge ends.
+     * @param {Ball[]} balls - Balls on the playfield
+     */
+    checkBallCollisions(balls) {
+        if (balls.length < 2) return;
+
+        const sorted = [...balls].sort((a, b) => (a.x - a.radius) - (b.x - b.radius));
+        for (let i = 0; i < sorted.length; i++) {
+            const a = sorted[i];
+            for (let j = i + 1; j < sorted.length; j++) {
+                const b = sorted[j];
+                if (b.x - b.radius > a.x + a.radius) break;
+                if (Math.abs(b.y - a.y) < a.radius + b.radius) {
+                    this.resolveBallCollision(a, b);
+                }
+            }
+        }
+    }
+
+    /**
+     * Bounce two touching balls apart
+     * Impulse along the line between centres, then a positional correction
+     * so resting balls don't sink into each other.
+     * @param {Ball} a
+     * @param {Ball} b
+     */
+    resolveBallCollision(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const minDist = a.radius + b.radius;
+        if (dist >= minDist) return;
+
+        // Normal from a to b (any direction will do for balls on the same spot)
+        const nx = dist > 0 ? dx / dist : 1;
+        const ny = dist > 0 ? dy / dist : 0;
+        const invMassA = 1 / a.mass;
+        const invMassB = 1 / b.mass;
+        const invMassSum = invMassA + invMassB;
+
+        // Push apart in proportion to inverse mass
+        const correction = Math.max(minDist - dist - Physics.BALL_SLOP, 0) *
+            Physics.BALL_CORRECTION / invMassSum;
+        a.x -= nx * correction * invMassA;
+        a.y -= ny * correction * invMassA;
+        b.x += nx * correction * invMassB;
+        b.y += ny * correction * invMassB;
+
+        // Nothing to do if they are already separating
+        const closing = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+        if (closing <= 0) return;
+
+        const impulse = (1 + Physics.BALL_RESTITUTION) * closing / invMassSum;
+        a.vx -= nx * impulse * invMassA;
+        a.vy -= ny * impulse * invMassA;
+        b.vx += nx * impulse * invMassB;
+        b.vy += ny * impulse * invMassB;
+
+        if (closing >= Physics.BALL_IMPACT_SPEED) {
+            eventBus.emit(Events.PHYSICS_BALL_COLLISION, {
+                ballIds: [a.id, b.id],
+                position: { x: a.x + nx * a.radius, y: a.y + ny * a.radius },
+                speed: closing
+            });
+        }
+    }
+
+    /**
+     * Move the ball at the bottom of the trough into the shooter lane
+     * @returns {Ball|null} Null if the trough is empty
+     */
+    feedShooterLane() {
+        if (!this.trough.take()) {
+            console.warn('Trough eject with no ball in the trough');
+            return null;
+        }
+        return this.createBallInShooter();
+    }
+
+    /**
+     * Raise an alarm when balls on the playfield, in locks and in the
+     * trough stop adding up to the balls in the machine (and clear it again)
+     * Locks and trough are counted from their switches, as the game sees
+     * them; a ball jammed above a full trough counts too, so it overflows.
+     */
+    checkBallCount() {
+        const lockSwitches = this.collisionZones.filter(z => z.capturesBall).map(z => z.switchId);
+        const count = {
+            playfield: this.getActiveBalls().length,
+            locked: lockSwitches.filter(switchId => switchMatrix.isActive(switchId)).length,
+            trough: switchMatrix.getTroughCount() + this.trough.overflow,
+            expected: this.trough.capacity
+        };
+        const ok = count.playfield + count.locked + count.trough === count.expected;
+        if (ok === this.ballCountOk) return;
+
+        this.ballCountOk = ok;
+        if (ok) {
+            console.log('Ball count restored');
+        } else {
+            console.error(`Ball count alarm: ${count.playfield} on playfield, ${count.locked} locked, ` +
+                `${count.trough} in trough, expected ${count.expected}`);
+        }
+        eventBus.emit(Events.BALL_COUNT_ALARM, { alarm: !ok, ...count });
+    }
+
+    /**
+     * Swing the plumb bob and close SW_PLUMB_TILT while it touches the ring
+     */
+    updatePlumbBob() {
+        const bob = this.plumbBob;
+
+        bob.vx = (bob.vx - bob.x * Physics.PLUMB_BOB_SPRING) * Physics.PLUMB_BOB_DAMPING;
+        bob.vy = (bob.vy - bob.y * Physics.PLUMB_BOB_SPRING) * Physics.PLUMB_BOB_DAMPING;
+        bob.x += bob.vx;
+        bob.y += bob.vy;
+
+        const touching = Math.sqrt(bob.x * bob.x + bob.y * bob.y) >= Physics.PLUMB_BOB_CONTACT;
+        if (touching === bob.touching) return;
+
+        bob.touching = touching;
+        eventBus.emit(touching ? Events.PHYSICS_COLLISION : Events.PHYSICS_ZONE_EXIT, {
+            zone: 'plumb_bob',
+            switchId: Switches.SW_PLUMB_TILT
+        });
+    }
+
+    /**
+     * Check if a ball is resting in (or still inside) the shooter lane
+     * @param {Ball} ball
+     * @returns {boolean}
+     */
+    isInShooterLane(ball) {
+        return ball.x > PlayfieldConfig.SHOOTER_LANE.x - 20 &&
+            ball.y > PlayfieldConfig.SHOOTER_LANE.y - 50;
+    }
+
+    /**
+     * Hold the shooter lane switch closed while a ball sits in the lane
+     * and open it when the ball leaves
+     */
+    updateShooterLaneSwitch() {
+        const occupied = this.balls.some(b => b.active && !b.captured && this.isInShooterLane(b));
+        if (occupied === this.shooterLaneOccupied) return;
+
+        this.shooterLaneOccupied = occupied;
+        eventBus.emit(occupied ? Events.PHYSICS_COLLISION : Events.PHYSICS_ZONE_EXIT, {
+            zone: 'shooter_lane',
+            switchId: Switches.SW_SHOOTER_LANE
+        });
+    }
+
+    /**
+     * Close each flipper's EOS switch while it is held at the top of its
+     * stroke and open it again when the flipper drops
+     */
+    updateFlipperSwitches() {
+        [
+            [this.leftFlipper, Switches.SW_LEFT_FLIPPER_EOS],
+            [this.rightFlipper, Switches.SW_RIGHT_FLIPPER_EOS]
+        ].forEach(([flipper, switchId]) => {
+            if (!flipper) return;
+
+            const eos = flipper.isAtEndOfStroke();
+            if (eos === flipper.eos) return;
+
+            flipper.eos = eos;
+            eventBus.emit(eos ? Events.PHYSICS_COLLISION : Events.PHYSICS_ZONE_EXIT, {
+                zone: flipper.isLeft ? 'left_flipper' : 'right_flipper',
+                switchId
+            });
+        });
     }
 
     /**
@@ -336,12 +734,10 @@ class PhysicsEngine {
             ball.vx = Math.abs(ball.vx) * Physics.BOUNCE_DAMPING;
         }
 
-        // Right wall (except shooter lane area)
-        if (ball.x + ball.radius > this.bounds.right) {
-            if (ball.y < PlayfieldConfig.SHOOTER_LANE.y - 100) {
-                ball.x = this.bounds.right - ball.radius;
-                ball.vx = -Math.abs(ball.vx) * Physics.BOUNCE_DAMPING;
-            }
+        // Cabinet side - the shooter lane's outer wall
+        if (ball.x + ball.radius > PlayfieldConfig.WIDTH) {
+            ball.x = PlayfieldConfig.WIDTH - ball.radius;
+            ball.vx = -Math.abs(ball.vx) * Physics.BOUNCE_DAMPING;
         }
 
         // Top wall
@@ -349,6 +745,12 @@ class PhysicsEngine {
             ball.y = this.bounds.top + ball.radius;
             ball.vy = Math.abs(ball.vy) * Physics.BOUNCE_DAMPING;
         }
+
+        // Plunger tip - a ball fed to the shooter lane rests on it
+        if (ball.x > PlayfieldConfig.SHOOTER_LANE.x && ball.y > PlayfieldConfig.SHOOTER_LANE.y) {
+            ball.y = PlayfieldConfig.SHOOTER_LANE.y;
+            ball.vy = Math.min(ball.vy, 0);
+        }
     }
 
     /**
@@ -404,28 +806,27 @@ class PhysicsEngine {
             const normalX = distX / dist;
             const normalY = distY / dist;
 
-            // Reflect velocity
-            const dot = ball.vx * normalX + ball.vy * normalY;
-            ball.vx -= 2 * dot * normalX;
-            ball.vy -= 2 * dot * normalY;
-
-            // Apply damping
-            ball.vx *= Physics.BOUNCE_DAMPING;
-            ball.vy *= Physics.BOUNCE_DAMPING;
-
-            // Add flipper kick if moving up
-            if (flipper.isMovingUp()) {
-                const kickStrength = Physics.FLIPPER_KICK;
-                // Kick direction is perpendicular to flipper, upward
-                const kickX = -ny * kickStrength * (flipper.isLeft ? 0.3 : -0.3);
-                const kickY = -Math.abs(nx) * kickStrength;
-                ball.applyImpulse(kickX, kickY);
-            }
+            // The flipper is a rotating bat: the rubber where the ball touches
+            // moves at ω × r, fast at the tip and slow by the pivot. A raised
+            // flipper that isn't moving cradles the ball, and one falling away
+            // from it soaks up its speed (a live catch).
+            const surface = flipper.getPointVelocity(closestX, closestY);
+            const approach = (ball.vx - surface.x) * normalX + (ball.vy - surface.y) * normalY;
+            if (approach >= 0) return;
+
+            const restitution = -approach > Physics.FLIPPER_REST_SPEED ? Physics.FLIPPER_RESTITUTION : 0;
+            const impulse = -(1 + restitution) * approach;
+            ball.applyImpulse(impulse * normalX, impulse * normalY);
+
+            // A tip shot can beat the top speed the substeps are sized for
+            ball.clampSpeed();
+            if (restitution === 0) return;
 
             // Emit flipper event
             eventBus.emit(Events.PHYSICS_FLIPPER_MOVE, {
                 flipper: flipper.isLeft ? 'left' : 'right',
-                hit: true
+                hit: true,
+                speed: -approach
             });
         }
     }
@@ -436,6 +837,8 @@ class PhysicsEngine {
      */
     checkZoneCollisions(ball) {
         for (const zone of this.collisionZones) {
+            if (zone.enclosed) continue;
+            if (zone.gate !== undefined && !this.energizedCoils.has(zone.gate)) continue;
             if (this.checkZoneCollision(ball, zone)) {
                 this.handleZoneHit(ball, zone);
             }
@@ -481,15 +884,11 @@ class PhysicsEngine {
             ball.x += nx * overlap;
             ball.y += ny * overlap;
 
-            // Reflect velocity
-            const dot = ball.vx * nx + ball.vy * ny;
-            ball.vx -= 2 * dot * nx;
-            ball.vy -= 2 * dot * ny;
-            ball.vx *= Physics.BOUNCE_DAMPING;
-            ball.vy *= Physics.BOUNCE_DAMPING;
+            // Reflect velocity (unless already moving away)
+            this.reflect(ball, nx, ny);
 
             // Apply kick if bumper
-            if (zone.kicks) {
+            if (zone.kicks && this.coilPower) {
                 ball.vx += nx * zone.kickStrength;
                 ball.vy += ny * zone.kickStrength;
             }
@@ -522,12 +921,8 @@ class PhysicsEngine {
             ball.x += nx * overlap;
             ball.y += ny * overlap;
 
-            // Reflect velocity
-            const dot = ball.vx * nx + ball.vy * ny;
-            ball.vx -= 2 * dot * nx;
-            ball.vy -= 2 * dot * ny;
-            ball.vx *= Physics.BOUNCE_DAMPING;
-            ball.vy *= Physics.BOUNCE_DAMPING;
+            // Reflect velocity (unless already moving away)
+            this.reflect(ball, nx, ny);
 
             return true;
         }
@@ -575,18 +970,33 @@ class PhysicsEngine {
             ball.x += pnx * overlap;
             ball.y += pny * overlap;
 
-            // Reflect
-            const dot = ball.vx * pnx + ball.vy * pny;
-            ball.vx -= 2 * dot * pnx;
-            ball.vy -= 2 * dot * pny;
-            ball.vx *= Physics.BOUNCE_DAMPING;
-            ball.vy *= Physics.BOUNCE_DAMPING;
+            // Reflect (unless already moving away)
+            this.reflect(ball, pnx, pny);
 
             return true;
         }
         return false;
     }
 
+    /**
+     * Bounce a ball off a surface
+     * A ball already leaving the surface is left alone - a substep can find it
+     * still overlapping after the bounce, and reflecting again would turn it
+     * back into the surface.
+     * @param {Ball} ball
+     * @param {number} nx - Surface normal, pointing at the ball
+     * @param {number} ny
+     */
+    reflect(ball, nx, ny) {
+        const dot = ball.vx * nx + ball.vy * ny;
+        if (dot >= 0) return;
+
+        ball.vx -= 2 * dot * nx;
+        ball.vy -= 2 * dot * ny;
+        ball.vx *= Physics.BOUNCE_DAMPING;
+        ball.vy *= Physics.BOUNCE_DAMPING;
+    }
+
     /**
      * Handle zone hit (trigger switch, apply effects)
      * @param {Ball} ball
@@ -602,14 +1012,51 @@ class PhysicsEngine {
             velocity: { x: ball.vx, y: ball.vy }
         });
 
-        // Handle ball capture
-        if (zone.capturesBall) {
+        // Handle ball capture (a full lock leaves the ball in play)
+        if (zone.capturesBall && this.getCapturedBalls(zone.name).length === 0) {
             ball.capture(zone.name);
             ball.x = zone.x;
             ball.y = zone.y;
+        } else if (zone.diverter && this.energizedCoils.has(zone.diverter.coil)) {
+            this.divertBall(ball, zone.diverter);
         }
     }
 
+    /**
+     * Route a ball through an energized diverter into the first empty target zone
+     * If every target already holds a ball, the ball carries on as normal.
+     * @param {Ball} ball
+     * @param {Object} diverter - { coil, to }
+     */
+    divertBall(ball, diverter) {
+        const target = diverter.to
+            .map(name => this.collisionZones.find(z => z.name === name))
+            .find(zone => zone && this.getCapturedBalls(zone.name).length === 0);
+
+        if (!target) return;
+
+        ball.capture(target.name);
+        ball.x = target.x;
+        ball.y = target.y;
+
+        eventBus.emit(Events.PHYSICS_COLLISION, {
+            switchId: target.switchId,
+            zoneType: target.type,
+            zoneName: target.name,
+            position: { x: ball.x, y: ball.y },
+            velocity: { x: 0, y: 0 }
+        });
+    }
+
+    /**
+     * Get balls held in a zone
+     * @param {string} captor - Zone name
+     * @returns {Ball[]}
+     */
+    getCapturedBalls(captor) {
+        return this.balls.filter(b => b.active && b.captured && b.capturedBy === captor);
+    }
+
     /**
      * Check if ball drained
      * @param {Ball} ball
@@ -620,6 +1067,7 @@ class PhysicsEngine {
             ball.x < drain.x + drain.width &&
             ball.y > drain.y) {
             ball.active = false;
+            this.trough.add();
             eventBus.emit(Events.BALL_DRAINED, { ballId: ball.id });
         }
     }
@@ -629,12 +1077,19 @@ class PhysicsEngine {
      * @param {Object} data
      */
     handleCoilFired(data) {
+        this.energizedCoils.add(data.coilId);
+
+        // Release balls held by zones this coil kicks out
+        this.collisionZones
+            .filter(zone => zone.releaseCoil === data.coilId)
+            .forEach(zone => this.ejectCapturedBall(zone.name));
+
         switch (data.coilId) {
             case Coils.C_AUTO_LAUNCH:
                 this.launchBall();
                 break;
             case Coils.C_TROUGH_EJECT:
-                // Ball will be created by game logic
+                this.feedShooterLane();
                 break;
             case Coils.C_SCOOP_EJECT:
             case Coils.C_POWER_SCOOP:
@@ -648,15 +1103,156 @@ class PhysicsEngine {
         }
     }
 
+    /**
+     * Handle coil released events
+     * @param {Object} data
+     */
+    handleCoilReleased(data) {
+        this.energizedCoils.delete(data.coilId);
+
+        this.magnetFields
+            .filter(magnet => magnet.coil === data.coilId)
+            .forEach(magnet => this.releaseMagnet(magnet));
+    }
+
+    /**
+     * Pull a ball toward any energized magnet it is within range of
+     * @param {Ball} ball
+     */
+    applyMagnets(ball) {
+        for (const magnet of this.magnetFields) {
+            if (!this.energizedCoils.has(magnet.coil)) continue;
+
+            const dx = magnet.x - ball.x;
+            const dy = magnet.y - ball.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > magnet.radius) continue;
+
+            ball.vx *= magnet.damping;
+            ball.vy *= magnet.damping;
+            if (dist > 1) {
+                // Strongest at the centre; gravity is cancelled so the ball holds
+                const pull = magnet.strength * (1 - dist / magnet.radius);
+                ball.vx += (dx / dist) * pull;
+                ball.vy += (dy / dist) * pull - Physics.GRAVITY;
+            } else {
+                ball.vy -= Physics.GRAVITY;
+            }
+        }
+    }
+
+    /**
+     * Throw the balls a magnet is holding toward its release point
+     * @param {Object} magnet
+     */
+    releaseMagnet(magnet) {
+        for (const ball of this.getActiveBalls()) {
+            const dx = magnet.x - ball.x;
+            const dy = magnet.y - ball.y;
+            if (Math.sqrt(dx * dx + dy * dy) > magnet.radius) continue;
+
+            const tx = magnet.release.x - ball.x;
+            const ty = magnet.release.y - ball.y;
+            const dist = Math.sqrt(tx * tx + ty * ty) || 1;
+            ball.vx = (tx / dist) * magnet.releaseSpeed;
+            ball.vy = (ty / dist) * magnet.releaseSpeed;
+        }
+    }
+
+    /**
+     * Handle left flipper button input
+     * @param {Object} data - { pressed }
+     */
+    handleLeftFlipperInput(data) {
+        // Buttons pressed while frozen work the service menu, not the playfield
+        if (data.pressed && this.frozen) return;
+
+        if (data.pressed) {
+            this.pressLeftFlipper();
+        } else {
+            this.releaseLeftFlipper();
+        }
+    }
+
+    /**
+     * Handle right flipper button input
+     * @param {Object} data - { pressed }
+     */
+    handleRightFlipperInput(data) {
+        if (data.pressed && this.frozen) return;
+
+        if (data.pressed) {
+            this.pressRightFlipper();
+        } else {
+            this.releaseRightFlipper();
+        }
+    }
+
+    /**
+     * Handle plunger input
+     * @param {Object} data - { pressed }
+     */
+    handleLaunchInput(data) {
+        if (data.pressed && this.frozen) return;
+
+        if (data.pressed) {
+            this.startPlungerCharge();
+        } else if (this.plungerCharging) {
+            this.releasePlunger();
+        }
+    }
+
+    /**
+     * Handle a nudge of the cabinet
+     * Shoves every ball on the playfield and swings the plumb bob.
+     * @param {Object} data - { pressed, direction: 'left' | 'right' | 'forward' }
+     */
+    handleNudgeInput(data) {
+        if (!data.pressed || this.frozen) return;
+
+        const dx = data.direction === 'left' ? -1 : data.direction === 'right' ? 1 : 0;
+        const dy = data.direction === 'forward' ? -1 : 0;
+
+        for (const ball of this.getActiveBalls()) {
+            if (this.isInShooterLane(ball)) continue;
+            ball.vx += dx * Physics.NUDGE_IMPULSE;
+            ball.vy += dy * Physics.NUDGE_IMPULSE;
+        }
+
+        this.plumbBob.vx += dx * Physics.PLUMB_BOB_KICK;
+        this.plumbBob.vy += dy * Physics.PLUMB_BOB_KICK;
+    }
+
+    /**
+     * Handle a kick to the cabinet - closes the slam tilt switch
+     * @param {Object} data - { pressed }
+     */
+    handleSlamInput(data) {
+        if (!data.pressed) return;
+
+        eventBus.emit(Events.PHYSICS_COLLISION, {
+            zone: 'cabinet',
+            switchId: Switches.SW_SLAM_TILT
+        });
+    }
+
+    /**
+     * Handle coil power being switched (tilt)
+     * @param {Object} data - { enabled }
+     */
+    handleCoilPower(data) {
+        this.coilPower = data.enabled;
+        if (!data.enabled) {
+            this.releaseLeftFlipper();
+            this.releaseRightFlipper();
+        }
+    }
+
     /**
      * Launch ball from shooter lane
      */
     launchBall() {
-        const shooterBall = this.balls.find(b =>
-            b.active &&
-            b.x > PlayfieldConfig.SHOOTER_LANE.x - 20 &&
-            b.y > PlayfieldConfig.SHOOTER_LANE.y - 50
-        );
+        const shooterBall = this.balls.find(b => b.active && this.isInShooterLane(b));
 
         if (shooterBall) {
             const power = Physics.LAUNCH_VELOCITY_MIN +
@@ -693,6 +1289,18 @@ class PhysicsEngine {
         if (ball) {
             const ejectSpeed = power ? 15 : 10;
             ball.release(0, -ejectSpeed);
+
+            const zone = this.collisionZones.find(z => z.name === captor);
+            if (zone) {
+                // Clear the zone so the ball isn't caught again on the next step
+                if (zone.type === 'circle') {
+                    ball.y = zone.y - zone.radius - ball.radius - 1;
+                }
+                eventBus.emit(Events.PHYSICS_ZONE_EXIT, {
+                    switchId: zone.switchId,
+                    zone: zone.name
+                });
+            }
         }
     }
 
@@ -700,7 +1308,7 @@ class PhysicsEngine {
      * Press left flipper
      */
     pressLeftFlipper() {
-        if (this.leftFlipper) {
+        if (this.leftFlipper && this.coilPower) {
             this.leftFlipper.press();
         }
     }
@@ -718,7 +1326,7 @@ class PhysicsEngine {
      * Press right flipper
      */
     pressRightFlipper() {
-        if (this.rightFlipper) {
+        if (this.rightFlipper && this.coilPower) {
             this.rightFlipper.press();
         }
     }
@@ -739,6 +1347,10 @@ class PhysicsEngine {
         this.balls = [];
         this.plungerPower = 0;
         this.plungerCharging = false;
+        this.shooterLaneOccupied = false;
+        this.energizedCoils.clear();
+        this.plumbBob = { x: 0, y: 0, vx: 0, vy: 0, touching: false };
+        this.trough.reset();
         if (this.leftFlipper) this.leftFlipper.release();
         if (this.rightFlipper) this.rightFlipper.release();
     }
@@ -751,6 +1363,7 @@ class PhysicsEngine {
         return {
             ballCount: this.balls.length,
             activeBalls: this.getActiveBalls().length,
+            troughCount: this.trough.count,
             plungerPower: this.plungerPower,
             leftFlipperAngle: this.leftFlipper?.angle,
             rightFlipperAngle: this.rightFlipper?.angle
@@ -761,4 +1374,4 @@ class PhysicsEngine {
 // Export singleton
 const physicsEngine = new PhysicsEngine();
 export default physicsEngine;
-export { PhysicsEngine, Ball, Flipper };
+export { PhysicsEngine };
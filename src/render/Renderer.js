@@ -5,10 +5,12 @@
  */
 
 import eventBus, { Events } from '../core/EventBus.js';
+import scheduler from '../core/Scheduler.js';
 import { PlayfieldConfig, Lamps, LampColors, LampState, Switches } from '../config/HardwareConfig.js';
 import { CollisionZones, getZoneBySwitchId } from '../physics/CollisionSystem.js';
 import lampMatrix from '../hardware/LampMatrix.js';
 import physicsEngine from '../physics/PhysicsEngine.js';
+import settings from '../logic/Settings.js';
 
 class Renderer {
     constructor() {
@@ -31,6 +33,38 @@ class Renderer {
         // Interpolation data
         this.lastBallPositions = new Map();
 
+        // Score display state (index 0 = player 1)
+        this.playerScores = [0];
+        this.currentPlayer = 1;
+
+        // Skill shot display: { title, locked } while selecting, plus
+        // the award message shown until skillShotMessageUntil (game time)
+        this.skillShot = null;
+        this.skillShotMessage = null;
+        this.skillShotMessageUntil = 0;
+
+        // Award display (extra ball, replay, shoot again) until awardMessageUntil
+        this.awardMessage = null;
+        this.awardMessageUntil = 0;
+
+        // Tilt display: 'TILT' for the rest of the ball, warnings briefly
+        this.tiltMessage = null;
+        this.tiltMessageUntil = 0;
+
+        // End-of-ball bonus: { lines, multiplier, subtotal, total } while counting
+        this.bonusDisplay = null;
+
+        // Attract mode screen ({ screen, highScores }) and initials entry display
+        this.attractScreen = null;
+        this.highScoreEntry = null;
+
+        // Credit display ('FREE PLAY' or 'CREDITS n') and the match digits
+        this.creditText = '';
+        this.matchDisplay = null;
+
+        // Service menu screen ({ title, lines, selected, message }) while open
+        this.serviceDisplay = null;
+
         // Lamp positions for rendering
         this.lampPositions = this.generateLampPositions();
 
@@ -40,9 +74,163 @@ class Renderer {
 
         // Frame counter for debugging
         this.frameCount = 0;
+
+        // Subscribe to game events for the score and debug displays
+        this.setupEventListeners();
         console.log('Renderer constructor complete');
     }
 
+    /**
+     * Set up event listeners
+     * Game logic publishes display changes; the renderer only reacts to them
+     */
+    setupEventListeners() {
+        eventBus.on(Events.SCORE_CHANGED, (data) => {
+            this.playerScores[data.player - 1] = data.score;
+            this.updatePlayerScores();
+        });
+
+        eventBus.on(Events.PLAYER_ADDED, (data) => {
+            this.playerScores[data.player - 1] = 0;
+            this.updatePlayerScores();
+        });
+
+        eventBus.on(Events.BALL_LAUNCH, (data) => {
+            this.currentPlayer = data.player;
+            this.updatePlayerScores();
+            this.updateBallNumber(data.ball, data.balls);
+            this.tiltMessage = null;
+            this.bonusDisplay = null;
+            if (data.shootAgain) {
+                this.showAwardMessage('SHOOT AGAIN');
+            }
+        });
+
+        eventBus.on(Events.EXTRA_BALL, () => {
+            this.showAwardMessage('EXTRA BALL');
+        });
+
+        eventBus.on(Events.REPLAY, () => {
+            this.showAwardMessage('REPLAY');
+        });
+
+        eventBus.on(Events.BALL_SEARCH, (data) => {
+            if (data.status === 'lost') {
+                this.showAwardMessage('BALL LOST');
+            }
+        });
+
+        eventBus.on(Events.BONUS_START, () => {
+            this.bonusDisplay = { lines: [], multiplier: null, subtotal: 0, total: null };
+        });
+
+        eventBus.on(Events.BONUS_STEP, (data) => {
+            if (!this.bonusDisplay) return;
+            this.bonusDisplay.subtotal = data.subtotal;
+
+            if (data.item === 'multiplier') {
+                this.bonusDisplay.multiplier = data.title;
+                return;
+            }
+            const line = this.bonusDisplay.lines.find(l => l.item === data.item);
+            if (line) {
+                line.count = data.count;
+                line.points = data.points;
+            } else {
+                this.bonusDisplay.lines.push({
+                    item: data.item, title: data.title, count: data.count, points: data.points
+                });
+            }
+        });
+
+        eventBus.on(Events.BONUS_AWARDED, (data) => {
+            if (!this.bonusDisplay) return;
+            this.bonusDisplay.multiplier = data.multiplier + 'X';
+            this.bonusDisplay.total = data.points;
+        });
+
+        eventBus.on(Events.ATTRACT_DISPLAY, (data) => {
+            this.attractScreen = data;
+            this.highScoreEntry = null;
+        });
+
+        eventBus.on(Events.HIGH_SCORE_ENTRY, (data) => {
+            this.bonusDisplay = null;
+            this.matchDisplay = null;
+            this.highScoreEntry = data;
+        });
+
+        eventBus.on(Events.CREDITS_CHANGED, (data) => {
+            this.creditText = data.freePlay ? 'FREE PLAY' : `CREDITS ${data.credits}`;
+        });
+
+        eventBus.on(Events.CREDITS_REQUIRED, () => {
+            this.showAwardMessage('INSERT COINS');
+        });
+
+        eventBus.on(Events.MATCH_SEQUENCE, (data) => {
+            this.bonusDisplay = null;
+            this.matchDisplay = data;
+        });
+
+        eventBus.on(Events.SERVICE_DISPLAY, (data) => {
+            this.serviceDisplay = data;
+        });
+
+        eventBus.on(Events.GAME_START, (data) => {
+            this.attractScreen = null;
+            this.playerScores = new Array(data?.players || 1).fill(0);
+            this.currentPlayer = 1;
+            this.updatePlayerScores();
+            this.updateBallNumber(1);
+        });
+
+        eventBus.on(Events.SKILL_SHOT_SELECTED, (data) => {
+            this.skillShot = { title: data.title, locked: data.locked };
+        });
+
+        eventBus.on(Events.SKILL_SHOT_ENDED, (data) => {
+            this.skillShot = null;
+            if (data.made) {
+                this.skillShotMessage = 'SKILL SHOT! ' + data.title;
+                this.skillShotMessageUntil = scheduler.now() + 2000;
+            }
+        });
+
+        eventBus.on(Events.TILT_WARNING, (data) => {
+            this.tiltMessage = data.remaining > 0 ? 'WARNING' : 'DANGER';
+            this.tiltMessageUntil = scheduler.now() + 1500;
+        });
+
+        eventBus.on(Events.TILT, () => {
+            this.tiltMessage = 'TILT';
+            this.tiltMessageUntil = Infinity;
+        });
+
+        eventBus.on(Events.SLAM_TILT, () => {
+            this.tiltMessage = 'SLAM TILT';
+            this.tiltMessageUntil = scheduler.now() + 3000;
+        });
+
+        eventBus.on(Events.GAME_OVER, () => {
+            this.skillShot = null;
+            this.bonusDisplay = null;
+            this.matchDisplay = null;
+            this.playerScores = [0];
+            this.currentPlayer = 1;
+            this.updatePlayerScores();
+            this.updateBallNumber(1);
+        });
+
+        eventBus.on(Events.SWITCH_ACTIVATED, (data) => {
+            this.updateDebugSwitch(data.switchName);
+        });
+
+        eventBus.on(Events.DEBUG_STATE, (data) => {
+            this.updateDebugState(data.state);
+        });
+    }
+
     /**
      * Initialize renderer with canvas element
      * @param {string} canvasId
@@ -66,6 +254,9 @@ class Renderer {
         this.width = this.canvas.width;
         this.height = this.canvas.height;
 
+        // Ball total from the BALLS_PER_GAME adjustment, not the page's default
+        this.updateBallNumber(1);
+
         // Set up input handlers
         this.setupInputHandlers();
 
@@ -138,21 +329,41 @@ class Renderer {
             case 'KeyZ':
             case 'ShiftLeft':
                 eventBus.emit(Events.INPUT_FLIPPER_LEFT, { pressed: true });
-                physicsEngine.pressLeftFlipper();
                 break;
             case 'KeyX':
             case 'ShiftRight':
                 eventBus.emit(Events.INPUT_FLIPPER_RIGHT, { pressed: true });
-                physicsEngine.pressRightFlipper();
                 break;
             case 'Space':
                 eventBus.emit(Events.INPUT_LAUNCH, { pressed: true });
-                physicsEngine.startPlungerCharge();
                 break;
             case 'KeyS':
             case 'Enter':
                 eventBus.emit(Events.INPUT_START, { pressed: true });
                 break;
+            case 'ArrowLeft':
+                eventBus.emit(Events.INPUT_NUDGE, { pressed: true, direction: 'left' });
+                break;
+            case 'ArrowRight':
+                eventBus.emit(Events.INPUT_NUDGE, { pressed: true, direction: 'right' });
+                break;
+            case 'ArrowUp':
+                eventBus.emit(Events.INPUT_NUDGE, { pressed: true, direction: 'forward' });
+                break;
+            case 'KeyT':
+                eventBus.emit(Events.INPUT_SLAM, { pressed: true });
+                break;
+            case 'Digit5':
+            case 'Digit6':
+            case 'Digit7':
+                eventBus.emit(Events.INPUT_COIN, { pressed: true, chute: Number(code.slice(-1)) - 4 });
+                break;
+            case 'F2':
+                eventBus.emit(Events.INPUT_SERVICE, { pressed: true, button: 'enter' });
+                break;
+            case 'Escape':
+                eventBus.emit(Events.INPUT_SERVICE, { pressed: true, button: 'escape' });
+                break;
             case 'KeyD':
                 this.showDebug = !this.showDebug;
                 document.getElementById('debug-panel')?.classList.toggle('visible', this.showDebug);
@@ -172,16 +383,24 @@ class Renderer {
             case 'KeyZ':
             case 'ShiftLeft':
                 eventBus.emit(Events.INPUT_FLIPPER_LEFT, { pressed: false });
-                physicsEngine.releaseLeftFlipper();
                 break;
             case 'KeyX':
             case 'ShiftRight':
                 eventBus.emit(Events.INPUT_FLIPPER_RIGHT, { pressed: false });
-                physicsEngine.releaseRightFlipper();
                 break;
             case 'Space':
                 eventBus.emit(Events.INPUT_LAUNCH, { pressed: false });
-                physicsEngine.releasePlunger();
+                break;
+            case 'Digit5':
+            case 'Digit6':
+            case 'Digit7':
+                eventBus.emit(Events.INPUT_COIN, { pressed: false, chute: Number(code.slice(-1)) - 4 });
+                break;
+            case 'F2':
+                eventBus.emit(Events.INPUT_SERVICE, { pressed: false, button: 'enter' });
+                break;
+            case 'Escape':
+                eventBus.emit(Events.INPUT_SERVICE, { pressed: false, button: 'escape' });
                 break;
         }
     }
@@ -195,16 +414,14 @@ class Renderer {
         if (this.mouseY > 900) {
             if (this.mouseX < this.width / 2) {
                 eventBus.emit(Events.INPUT_FLIPPER_LEFT, { pressed: true });
-                physicsEngine.pressLeftFlipper();
             } else {
                 eventBus.emit(Events.INPUT_FLIPPER_RIGHT, { pressed: true });
-                physicsEngine.pressRightFlipper();
             }
         }
 
         // Check if clicking on plunger area
         if (this.mouseX > 720 && this.mouseY > 950) {
-            physicsEngine.startPlungerCharge();
+            eventBus.emit(Events.INPUT_LAUNCH, { pressed: true });
         }
     }
 
@@ -216,12 +433,10 @@ class Renderer {
         // Release flippers
         eventBus.emit(Events.INPUT_FLIPPER_LEFT, { pressed: false });
         eventBus.emit(Events.INPUT_FLIPPER_RIGHT, { pressed: false });
-        physicsEngine.releaseLeftFlipper();
-        physicsEngine.releaseRightFlipper();
 
         // Release plunger
         if (physicsEngine.plungerCharging) {
-            physicsEngine.releasePlunger();
+            eventBus.emit(Events.INPUT_LAUNCH, { pressed: false });
         }
     }
 
@@ -392,7 +607,7 @@ class Renderer {
 
         // Shooter lane
         ctx.fillStyle = '#2a4a2a';
-        ctx.fillRect(720, 850, 50, 350);
+        ctx.fillRect(PlayfieldConfig.SHOOTER_LANE.x, 660, 50, 540);
 
         // Drain area
         ctx.fillStyle = '#1a1a1a';
@@ -718,6 +933,234 @@ class Renderer {
         ctx.textAlign = 'center';
         ctx.fillText('LEFT FLIPPER (Z)', 200, 1180);
         ctx.fillText('RIGHT FLIPPER (X)', 600, 1180);
+
+        // Game timers (seconds remaining)
+        ctx.fillStyle = '#ffff00';
+        ctx.font = 'bold 16px monospace';
+        if (scheduler.isActive('mode')) {
+            ctx.fillText('MODE ' + Math.ceil(scheduler.getRemaining('mode') / 1000), 400, 820);
+        }
+        if (scheduler.isActive('ballSave')) {
+            ctx.fillText('BALL SAVE ' + Math.ceil(scheduler.getRemaining('ballSave') / 1000), 400, 1080);
+        }
+        if (scheduler.isActive('scoreModifier.playfield')) {
+            ctx.fillText('2X SCORING ' + Math.ceil(scheduler.getRemaining('scoreModifier.playfield') / 1000), 400, 850);
+        }
+        if (scheduler.isActive('scoreModifier.superPops')) {
+            ctx.fillText('SUPER POPS ' + Math.ceil(scheduler.getRemaining('scoreModifier.superPops') / 1000), 400, 880);
+        }
+
+        // Skill shot selection (flippers cycle it until the ball leaves the shooter lane)
+        if (this.skillShot) {
+            ctx.fillStyle = '#00ffff';
+            ctx.fillText('SKILL SHOT', 400, 1020);
+            ctx.fillText(this.skillShot.locked
+                ? this.skillShot.title
+                : '< ' + this.skillShot.title + ' >', 400, 1045);
+        } else if (this.skillShotMessage && scheduler.now() < this.skillShotMessageUntil) {
+            ctx.fillStyle = '#00ffff';
+            ctx.fillText(this.skillShotMessage, 400, 1045);
+        }
+
+        // Awards
+        if (this.awardMessage && scheduler.now() < this.awardMessageUntil) {
+            ctx.fillStyle = '#ffff00';
+            ctx.font = 'bold 36px monospace';
+            ctx.fillText(this.awardMessage, 400, 700);
+        }
+
+        // Bonus count (both flippers skip it)
+        if (this.bonusDisplay) {
+            this.drawBonus();
+        }
+
+        // Credits
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '14px monospace';
+        ctx.fillText(this.creditText, 400, 1195);
+
+        // Service menu covers everything else
+        if (this.serviceDisplay) {
+            this.drawServiceMenu();
+            return;
+        }
+
+        // Match, initials entry, or the attract mode screens
+        if (this.matchDisplay) {
+            this.drawMatch();
+        } else if (this.highScoreEntry) {
+            this.drawHighScoreEntry();
+        } else if (this.attractScreen) {
+            this.drawAttractScreen();
+        }
+
+        // Tilt
+        if (this.tiltMessage && scheduler.now() < this.tiltMessageUntil) {
+            ctx.fillStyle = '#ff0000';
+            ctx.font = 'bold 48px monospace';
+            ctx.fillText(this.tiltMessage, 400, 600);
+        }
+    }
+
+    /**
+     * Draw the itemized end-of-ball bonus
+     */
+    drawBonus() {
+        const ctx = this.ctx;
+        const bonus = this.bonusDisplay;
+        let y = 560;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(180, y - 40, 440, 100 + (bonus.lines.length + 1) * 30);
+
+        ctx.fillStyle = '#ffff00';
+        ctx.font = 'bold 28px monospace';
+        ctx.fillText('BONUS', 400, y);
+
+        ctx.font = 'bold 18px monospace';
+        bonus.lines.forEach(line => {
+            y += 30;
+            ctx.fillText(`${line.count} ${line.title}  ${line.points.toLocaleString()}`, 400, y);
+        });
+
+        y += 30;
+        if (bonus.multiplier) {
+            ctx.fillText(`x ${bonus.multiplier}`, 400, y);
+        }
+
+        y += 40;
+        ctx.font = 'bold 24px monospace';
+        const total = bonus.total ?? bonus.subtotal;
+        ctx.fillText(total.toLocaleString(), 400, y);
+    }
+
+    /**
+     * Draw the service menu - the selected line is highlighted and kept in view
+     */
+    drawServiceMenu() {
+        const ctx = this.ctx;
+        const { title, lines, selected, message } = this.serviceDisplay;
+        const visible = 18;
+        const first = Math.max(0, Math.min(selected - Math.floor(visible / 2), lines.length - visible));
+
+        ctx.fillStyle = 'rgba(0, 0, 32, 0.9)';
+        ctx.fillRect(100, 200, 600, 800);
+
+        ctx.fillStyle = '#00ffff';
+        ctx.font = 'bold 28px monospace';
+        ctx.fillText(title, 400, 250);
+
+        ctx.font = 'bold 18px monospace';
+        lines.slice(first, first + visible).forEach((line, i) => {
+            const isSelected = first + i === selected;
+            ctx.fillStyle = isSelected ? '#ffff00' : '#ffffff';
+            ctx.fillText(isSelected ? `> ${line} <` : line, 400, 310 + i * 36);
+        });
+
+        if (message) {
+            ctx.fillStyle = '#00ff00';
+            ctx.fillText(message, 400, 950);
+        }
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '14px monospace';
+        ctx.fillText('FLIPPERS MOVE - F2/START ENTER - ESC BACK', 400, 985);
+    }
+
+    /**
+     * Draw the match digits, and each player's once they settle
+     */
+    drawMatch() {
+        const ctx = this.ctx;
+        const match = this.matchDisplay;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(200, 500, 400, 200);
+
+        ctx.fillStyle = '#ffff00';
+        ctx.font = 'bold 28px monospace';
+        ctx.fillText('MATCH', 400, 540);
+        ctx.font = 'bold 48px monospace';
+        ctx.fillText(String(match.number).padStart(2, '0'), 400, 600);
+
+        if (match.final) {
+            ctx.font = 'bold 18px monospace';
+            const text = match.players
+                .map(p => `P${p.player} ${String(p.digits).padStart(2, '0')}`)
+                .join('  ');
+            ctx.fillText(text, 400, 640);
+            if (match.winners.length > 0) {
+                ctx.fillText('MATCH! FREE GAME', 400, 675);
+            }
+        }
+    }
+
+    /**
+     * Draw initials entry - the offered letter flashes after those entered
+     */
+    drawHighScoreEntry() {
+        const ctx = this.ctx;
+        const entry = this.highScoreEntry;
+        const blink = Math.floor(scheduler.now() / 250) % 2 === 0;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(150, 480, 500, 220);
+
+        ctx.fillStyle = '#ffff00';
+        ctx.font = 'bold 28px monospace';
+        ctx.fillText(`PLAYER ${entry.player}`, 400, 520);
+        ctx.fillText(entry.title, 400, 560);
+
+        ctx.font = 'bold 18px monospace';
+        ctx.fillText('ENTER INITIALS', 400, 600);
+
+        ctx.font = 'bold 40px monospace';
+        const letter = blink ? (entry.letter === ' ' ? '_' : entry.letter) : ' ';
+        ctx.fillText((entry.initials + letter).padEnd(3, '.'), 400, 650);
+
+        ctx.font = '14px monospace';
+        ctx.fillText('FLIPPERS SELECT - START ENTERS', 400, 685);
+    }
+
+    /**
+     * Draw the current attract mode screen
+     */
+    drawAttractScreen() {
+        const ctx = this.ctx;
+        const { screen, highScores } = this.attractScreen;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(150, 480, 500, 260);
+        ctx.fillStyle = '#ffff00';
+
+        if (screen === 'grandChampion' && highScores.length > 0) {
+            ctx.font = 'bold 28px monospace';
+            ctx.fillText('GRAND CHAMPION', 400, 560);
+            ctx.font = 'bold 36px monospace';
+            ctx.fillText(highScores[0].initials, 400, 620);
+            ctx.fillText(highScores[0].score.toLocaleString(), 400, 670);
+        } else if (screen === 'highScores') {
+            ctx.font = 'bold 28px monospace';
+            ctx.fillText('HIGH SCORES', 400, 530);
+            ctx.font = 'bold 20px monospace';
+            highScores.slice(1).forEach((row, i) => {
+                ctx.fillText(`${i + 1}) ${row.initials}  ${row.score.toLocaleString()}`, 400, 580 + i * 35);
+            });
+        } else {
+            ctx.font = 'bold 36px monospace';
+            ctx.fillText('GOLDENEYE', 400, 590);
+            ctx.font = 'bold 20px monospace';
+            ctx.fillText('PRESS START', 400, 650);
+        }
+    }
+
+    /**
+     * Show an award message for a couple of seconds
+     * @param {string} text
+     */
+    showAwardMessage(text) {
+        this.awardMessage = text;
+        this.awardMessageUntil = scheduler.now() + 2500;
     }
 
     /**
@@ -751,15 +1194,46 @@ class Renderer {
         }
     }
 
+    /**
+     * Update the current player and every player's score
+     * The current player's score is shown large; all players are listed
+     * below with the player whose turn it is marked.
+     */
+    updatePlayerScores() {
+        this.updateScore(this.playerScores[this.currentPlayer - 1] || 0);
+
+        const playerEl = document.getElementById('player-info');
+        if (playerEl) {
+            playerEl.textContent = 'PLAYER ' + this.currentPlayer;
+        }
+
+        const listEl = document.getElementById('player-scores');
+        if (listEl) {
+            listEl.innerHTML = this.playerScores.length > 1
+                ? this.playerScores.map((score, i) => {
+                    const isCurrent = i + 1 === this.currentPlayer;
+                    return `<span class="${isCurrent ? 'current' : ''}">` +
+                        `${isCurrent ? '&#9654;' : ''}P${i + 1} ${score.toLocaleString()}</span>`;
+                }).join('')
+                : '';
+        }
+    }
+
     /**
      * Update ball display
      * @param {number} ballNum
+     * @param {number} [ballsPerGame] - The player's balls (defaults to the current setting)
      */
-    updateBallNumber(ballNum) {
+    updateBallNumber(ballNum, ballsPerGame = settings.get('BALLS_PER_GAME')) {
         const ballEl = document.getElementById('ball-number');
         if (ballEl) {
             ballEl.textContent = ballNum;
         }
+
+        const totalEl = document.getElementById('ball-total');
+        if (totalEl) {
+            totalEl.textContent = ballsPerGame;
+        }
     }
 
     /**
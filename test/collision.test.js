@@ -0,0 +1,296 @@
+/**
+ * collision.test.js
+ * Tunneling check for the playfield geometry
+ * Fires balls at Physics.MAX_VELOCITY at every zone in CollisionZones and at
+ * both flippers (resting and swinging), from all around, through the engine's
+ * own update loop. Fails on any shot whose centre gets inside or through the
+ * geometry between two substeps, or that a flipper sends off faster than
+ * Physics.MAX_VELOCITY. Also drops balls all over the playfield, to
+ * check the walls keep them in until they drain, and plunges a ball in a real
+ * game, to check the shooter lane lets it out onto the playfield.
+ */
+
+import { describe, test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Physics, PlayfieldConfig } from '../src/config/HardwareConfig.js';
+import app, { Events, physicsEngine, stateMachine } from '../src/headless.js';
+import { CollisionZones } from '../src/physics/CollisionSystem.js';
+
+// Frames a shot runs for - long enough to reach the target and leave it
+const SHOT_FRAMES = 12;
+
+// Fixed frame time the game loop runs at
+const FRAME_TIME = 1000 / 60;
+
+// Shots per target, spread around it
+const DIRECTIONS = 16;
+const ANGLES = Array.from({ length: DIRECTIONS }, (_, i) => (i / DIRECTIONS) * Math.PI * 2);
+
+/**
+ * Side of a segment the point lies on, or 0 if it is beyond either end
+ * @returns {number} -1, 0 or 1
+ */
+function sideOfSegment(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const proj = ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy);
+    if (proj < 0 || proj > 1) return 0;
+    return Math.sign(dx * (y - y1) - dy * (x - x1));
+}
+
+/**
+ * Centre point and reach of a zone
+ * @param {Object} zone
+ * @returns {{x: number, y: number, reach: number}}
+ */
+function zoneTarget(zone) {
+    switch (zone.type) {
+        case 'circle':
+            return { x: zone.x, y: zone.y, reach: zone.radius };
+        case 'rect':
+            return { x: zone.x + zone.w / 2, y: zone.y + zone.h / 2, reach: Math.hypot(zone.w, zone.h) / 2 };
+        default:
+            return {
+                x: (zone.x1 + zone.x2) / 2,
+                y: (zone.y1 + zone.y2) / 2,
+                reach: Math.hypot(zone.x2 - zone.x1, zone.y2 - zone.y1) / 2
+            };
+    }
+}
+
+/**
+ * Watches which side of a segment a ball is on
+ * A ball that goes round an end is fine; one that changes sides between two
+ * substeps went through.
+ * @returns {Function} (side) => true if the ball just crossed
+ */
+function crossingTracker() {
+    let lastSide = 0;
+    return (side) => {
+        const crossed = side !== 0 && side === -lastSide;
+        lastSide = side;
+        return crossed;
+    };
+}
+
+/**
+ * Run a shot through physicsEngine.update
+ * The probe is called after each substep's collisions (the engine checks
+ * zones last) until it reports the ball got through.
+ * @param {number} x - Start position
+ * @param {number} y
+ * @param {number} angle - Direction of travel (radians)
+ * @param {Function} probe - (ball) => true if the ball got through
+ * @param {Function} [onFrame] - Called with the frame number before each update
+ * @returns {boolean} True if the ball got through
+ */
+function fire(x, y, angle, probe, onFrame) {
+    const ball = physicsEngine.createBall(x, y);
+    ball.vx = Math.cos(angle) * Physics.MAX_VELOCITY;
+    ball.vy = Math.sin(angle) * Physics.MAX_VELOCITY;
+
+    let through = false;
+    const checkZones = physicsEngine.checkZoneCollisions;
+    const watch = mock.method(physicsEngine, 'checkZoneCollisions', function (b) {
+        checkZones.call(this, b);
+        // A captured ball is held by the zone, not through it
+        if (b === ball && b.active && !b.captured && probe(b)) through = true;
+    });
+
+    for (let frame = 0; frame < SHOT_FRAMES && !through; frame++) {
+        if (onFrame) onFrame(frame);
+        physicsEngine.update(FRAME_TIME);
+    }
+
+    watch.mock.restore();
+    return through;
+}
+
+/**
+ * Fire one ball at a zone, with only that zone on the playfield
+ * @param {Object} zone
+ * @param {number} angle
+ * @returns {boolean} True if the ball got through
+ */
+function fireAtZone(zone, angle) {
+    physicsEngine.collisionZones = [zone];
+    if (zone.gate !== undefined) physicsEngine.energizedCoils.add(zone.gate);
+
+    const target = zoneTarget(zone);
+    const back = target.reach + Physics.BALL_RADIUS + Physics.MAX_VELOCITY * 2;
+    const crossed = crossingTracker();
+
+    return fire(target.x - Math.cos(angle) * back, target.y - Math.sin(angle) * back, angle, (ball) => {
+        switch (zone.type) {
+            case 'circle':
+                return Math.hypot(ball.x - zone.x, ball.y - zone.y) < zone.radius;
+            case 'rect':
+                return ball.x > zone.x && ball.x < zone.x + zone.w &&
+                    ball.y > zone.y && ball.y < zone.y + zone.h;
+            default:
+                return crossed(sideOfSegment(ball.x, ball.y, zone.x1, zone.y1, zone.x2, zone.y2));
+        }
+    });
+}
+
+/**
+ * Fire one ball at a flipper, with no zones on the playfield
+ * @param {boolean} isLeft
+ * @param {number} along - Aim point along the flipper (0 pivot - 1 tip)
+ * @param {number} angle
+ * @param {boolean} swing - Press the flipper as the ball arrives
+ * @returns {boolean} True if the ball got through
+ */
+function fireAtFlipper(isLeft, along, angle, swing) {
+    physicsEngine.collisionZones = [];
+
+    const flipper = isLeft ? physicsEngine.leftFlipper : physicsEngine.rightFlipper;
+    const tip = flipper.getTipPosition();
+    const back = Physics.BALL_RADIUS + flipper.width + Physics.MAX_VELOCITY * 2;
+    const targetX = flipper.x + (tip.x - flipper.x) * along;
+    const targetY = flipper.y + (tip.y - flipper.y) * along;
+    const crossed = crossingTracker();
+
+    return fire(targetX - Math.cos(angle) * back, targetY - Math.sin(angle) * back, angle, (ball) => {
+        const end = flipper.getTipPosition();
+        return crossed(sideOfSegment(ball.x, ball.y, flipper.x, flipper.y, end.x, end.y));
+    }, (frame) => {
+        if (swing && frame === 1) flipper.press();
+    });
+}
+
+/**
+ * Angles (in degrees) of the shots that got through
+ * @param {Function} shoot - (angle) => true if the ball got through
+ * @returns {number[]}
+ */
+function failures(shoot) {
+    return ANGLES.filter(shoot).map(angle => Math.round(angle * 180 / Math.PI));
+}
+
+describe('collision', () => {
+    before(() => {
+        // Ball count alarms and zone logs are expected with one ball on the table
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+
+        // Attract mode, so the zone shots don't score in a game
+        app.initialize();
+    });
+
+    // Enclosed zones can't be reached from the playfield
+    for (const zone of CollisionZones.filter(z => !z.enclosed)) {
+        test(`stops balls fired at ${zone.name}`, () => {
+            assert.deepEqual(failures(angle => {
+                physicsEngine.reset();
+                return fireAtZone(zone, angle);
+            }), []);
+        });
+    }
+
+    for (const isLeft of [true, false]) {
+        const name = isLeft ? 'left flipper' : 'right flipper';
+        for (const swing of [false, true]) {
+            for (const along of [0.25, 0.5, 0.75, 1]) {
+                test(`stops balls fired at the ${name} ${swing ? 'swinging' : 'at rest'} @${along}`, () => {
+                    assert.deepEqual(failures(angle => {
+                        physicsEngine.reset();
+                        physicsEngine.initialize();
+                        return fireAtFlipper(isLeft, along, angle, swing);
+                    }), []);
+                });
+            }
+        }
+    }
+
+    test('never flips a ball faster than the top speed', () => {
+        let fastest = 0;
+        const checkFlipper = physicsEngine.checkFlipperCollision;
+        const watch = mock.method(physicsEngine, 'checkFlipperCollision', function (ball, flipper) {
+            checkFlipper.call(this, ball, flipper);
+            fastest = Math.max(fastest, Math.hypot(ball.vx, ball.vy));
+        });
+
+        // Balls dropping onto the outer half of a flipper as it swings up
+        for (const isLeft of [true, false]) {
+            for (const along of [0.5, 0.75, 1]) {
+                for (let speed = 0; speed <= Physics.MAX_VELOCITY; speed += 7) {
+                    physicsEngine.reset();
+                    physicsEngine.initialize();
+                    physicsEngine.collisionZones = [];
+                    const flipper = isLeft ? physicsEngine.leftFlipper : physicsEngine.rightFlipper;
+                    const tip = flipper.getTipPosition();
+                    const ball = physicsEngine.createBall(
+                        flipper.x + (tip.x - flipper.x) * along,
+                        flipper.y + (tip.y - flipper.y) * along - 30);
+                    ball.vy = speed;
+
+                    flipper.press();
+                    for (let frame = 0; frame < SHOT_FRAMES; frame++) {
+                        physicsEngine.update(FRAME_TIME);
+                    }
+                }
+            }
+        }
+        watch.mock.restore();
+
+        assert.ok(fastest <= Physics.MAX_VELOCITY + 1e-9, `ball left at ${fastest.toFixed(1)}`);
+    });
+
+    test('catches balls tunneling without substeps', () => {
+        const substeps = mock.method(physicsEngine, 'getSubsteps', () => 1);
+        const through = CollisionZones
+            .filter(z => !z.enclosed)
+            .flatMap(zone => failures(angle => {
+                physicsEngine.reset();
+                return fireAtZone(zone, angle);
+            }));
+        substeps.mock.restore();
+
+        assert.ok(through.length > 0);
+    });
+
+    test('keeps every ball on the playfield until it drains', () => {
+        physicsEngine.initialize();
+        const escaped = [];
+
+        for (let x = 70; x <= 730; x += 40) {
+            for (const angle of ANGLES.filter((_, i) => i % 2 === 0)) {
+                physicsEngine.reset();
+                const ball = physicsEngine.createBall(x, 800);
+                ball.vx = Math.cos(angle) * 12;
+                ball.vy = Math.sin(angle) * 12;
+
+                for (let frame = 0; frame < 600 && ball.active && !ball.captured; frame++) {
+                    physicsEngine.update(FRAME_TIME);
+                    if (ball.active && ball.y - ball.radius > PlayfieldConfig.HEIGHT) {
+                        escaped.push(`x=${x} at ${Math.round(angle * 180 / Math.PI)}`);
+                        break;
+                    }
+                }
+            }
+        }
+        assert.deepEqual(escaped, []);
+    });
+
+    test('launches a plunged ball out of the shooter lane', () => {
+        physicsEngine.reset();
+        physicsEngine.initialize();
+        app.pressStart();
+        app.runUntil(() => physicsEngine.balls.length > 0, 300);
+        assert.ok(stateMachine.isInState('ballLaunch'));
+
+        app.input(Events.INPUT_LAUNCH, true);
+        app.advance(1000);
+        app.input(Events.INPUT_LAUNCH, false);
+
+        let highest = Infinity;
+        for (let frame = 0; frame < 120; frame++) {
+            app.step();
+            physicsEngine.balls.forEach(ball => { highest = Math.min(highest, ball.y); });
+        }
+        assert.ok(highest < 850, `ball only got up to y=${Math.round(highest)}`);
+    });
+});